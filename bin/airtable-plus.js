@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+"use strict";
+const readline = require('readline');
+const AirtablePlus = require('../index');
+const csv = require('../lib/csv');
+
+const USAGE = `Usage: airtable-plus <command> [arguments] [options]
+
+Commands:
+  read                           Read the records of the table
+  find <recordID>                Read a single record
+  create [json]                  Create a record or an array of records
+  update <recordID> [json]       Update a record, or an array of { id, fields } when no ID is given
+  upsert --key <fields> [json]   Create or update records matched on comma separated key fields
+  delete-where <where>           Delete the records matching a formula or JSON filter object
+  truncate                       Delete every record of the table
+  append-table <source> <dest>   Copy the records of one table into another
+  overwrite-table <source> <dest>
+                                 Replace the records of a table with the ones of another
+
+JSON is read from stdin when it isn't passed as an argument.
+
+Options:
+  -t, --table <name>     Table name, defaults to AIRTABLE_TABLE_NAME
+  -b, --base <id>        Base ID, defaults to AIRTABLE_BASE_ID
+  --source-base <id>     Base ID of the source table of append-table and overwrite-table
+  --dest-base <id>       Base ID of the dest table of append-table and overwrite-table
+  -w, --where <where>    Formula or JSON filter object for read and the table copies
+  --view <name>          View to read, for read only
+  --fields <names>       Comma separated fields to read or copy
+  --max <count>          Max number of records to read, for read only
+  -f, --format <format>  Output format: json, table or csv (default json)
+  -y, --yes              Don't ask for confirmation of destructive commands
+  --dry-run              Print the records that would be affected without writing
+  -h, --help             Show this help
+
+The API key or access token is read from AIRTABLE_API_KEY or AIRTABLE_ACCESS_TOKEN.
+`;
+
+const OPTIONS = {
+    t: 'table',
+    b: 'base',
+    w: 'where',
+    f: 'format',
+    y: 'yes',
+    h: 'help'
+};
+const FLAGS = ['yes', 'dry-run', 'help'];
+const VALUES = ['table', 'base', 'source-base', 'dest-base', 'where', 'view', 'fields', 'max', 'format', 'key'];
+const FORMATS = ['json', 'table', 'csv'];
+const MAX_CELL_WIDTH = 40;
+
+const COMMANDS = {
+    read: async ({ inst, opts, config }) => inst.read(readParams(opts), config),
+
+    find: async ({ inst, args: [recordID], config }) => {
+        if(!recordID) throw new Error('find needs a record ID');
+        return inst.find(recordID, config);
+    },
+
+    create: async ({ inst, args, opts, config, io }) => {
+        const data = await readJSON(args[0], io);
+        if(opts['dry-run']) return preview('create', [].concat(data).map(fields => ({ fields })));
+        if(!Array.isArray(data)) return inst.create(data, config);
+        return unwrap(await inst.createMany(data, config));
+    },
+
+    update: async ({ inst, args, opts, config, io }) => {
+        const [recordID, json] = args[0] && !/^\s*[[{]/.test(args[0])? args : [undefined, args[0]];
+        const data = await readJSON(json, io);
+        const updates = recordID? [{ id: recordID, fields: data }] : [].concat(data);
+        if(updates.some(({ id, fields }) => !id || !fields)) throw new Error('update needs a record ID and fields, or an array of { id, fields }');
+
+        if(opts['dry-run']) return preview('update', updates);
+        if(recordID) return inst.update(recordID, data, config);
+        return unwrap(await inst.updateMany(updates, config));
+    },
+
+    upsert: async ({ inst, args, opts, config, io }) => {
+        if(!opts.key) throw new Error('upsert needs the --key fields to match records on');
+        const keys = opts.key.split(',').map(key => key.trim());
+        const records = [].concat(await readJSON(args[0], io));
+
+        if(opts['dry-run']) {
+            const existing = await inst.read({ filterByFormula: { or: records.map(fields => pick(fields, keys)) } }, config);
+            const matches = fields => existing.filter(row => keys.every(key => String(row.fields[key]) === String(fields[key])));
+            return preview('create', records.filter(fields => matches(fields).length === 0).map(fields => ({ fields })))
+                .concat(...records.map(fields => preview('update', matches(fields).map(({ id }) => ({ id, fields })))));
+        }
+
+        const { created, updated, unchanged, ambiguous, failed } = await inst.upsertMany(records, { keys }, config);
+        if(ambiguous.length > 0 || failed.length > 0) process.exitCode = 1;
+        return { created, updated, unchanged, ambiguous, failed: failed.map(({ index, error }) => ({ index, error: error.message })) };
+    },
+
+    'delete-where': async ({ inst, args: [where], opts, config, io }) => {
+        if(!where) throw new Error('delete-where needs a formula or JSON filter object');
+        const filter = parseWhere(where);
+        const rows = await inst.read({ filterByFormula: filter }, config);
+
+        if(opts['dry-run']) return preview('delete', rows);
+        if(!await confirm(`Delete ${rows.length} records from ${tableName(inst, config)}?`, opts, io)) return [];
+        return inst.deleteWhere(filter, config);
+    },
+
+    truncate: async ({ inst, opts, config, io }) => {
+        const rows = await inst.read({}, config);
+
+        if(opts['dry-run']) return preview('delete', rows);
+        if(!await confirm(`Delete all ${rows.length} records from ${tableName(inst, config)}?`, opts, io)) return [];
+        return inst.truncate(config);
+    },
+
+    'append-table': async ({ inst, args, opts }) => {
+        const { source, dest } = copyConfigs(args, opts);
+        if(opts['dry-run']) return preview('create', await readCopy(inst, source));
+        return inst.appendTable(source, dest);
+    },
+
+    'overwrite-table': async ({ inst, args, opts, io }) => {
+        const { source, dest } = copyConfigs(args, opts);
+        const deleted = await inst.read({}, dest);
+
+        if(opts['dry-run']) return preview('delete', deleted).concat(preview('create', await readCopy(inst, source)));
+        if(!await confirm(`Delete all ${deleted.length} records from ${dest.tableName} and copy ${source.tableName} into it?`, opts, io)) return [];
+        return inst.overwriteTable(source, dest);
+    }
+};
+
+/**
+ * Runs the command line with the given arguments
+ *
+ * @ignore
+ * @param {string[]} argv - command line arguments
+ * @param {Object} [io] - streams and instance to use, the process ones by default
+ * @returns {Promise} - resolves once the output is written
+ */
+async function main(argv, io = {}) {
+    io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr, ...io };
+    const { args: [command, ...args], opts } = parseArgs(argv);
+
+    if(opts.help || !command) return io.stdout.write(USAGE);
+    if(!COMMANDS[command]) throw new Error(`unknown command "${command}", see airtable-plus --help`);
+
+    const format = opts.format || 'json';
+    if(!FORMATS.includes(format)) throw new Error(`unknown format "${format}", should be one of ${FORMATS.join(', ')}`);
+
+    // only the options that are set, so the constructor falls back to the environment
+    const config = {};
+    if(opts.base) config.baseID = opts.base;
+    if(opts.table) config.tableName = opts.table;
+    const inst = io.inst || new AirtablePlus(config);
+
+    const result = await COMMANDS[command]({ inst, args, opts, config, io });
+    io.stdout.write(format === 'json'? `${JSON.stringify(result, null, 2)}\n` : formatRecords([].concat(result), format));
+}
+
+/**
+ * @ignore
+ * @param {string[]} argv - command line arguments
+ * @returns {Object} - positional args and options keyed by long name
+ */
+function parseArgs(argv) {
+    const args = [];
+    const opts = {};
+    for(let i = 0; i < argv.length; i += 1) {
+        const match = /^--?([^=]+)(?:=(.*))?$/.exec(argv[i]);
+        if(!match || argv[i] === '-') {
+            args.push(argv[i]);
+            continue;
+        }
+
+        const name = OPTIONS[match[1]] || match[1];
+        // a mistyped option would otherwise be dropped, like --dryrun running the command for real
+        if(!FLAGS.includes(name) && !VALUES.includes(name)) throw new Error(`unknown option ${argv[i]}, see airtable-plus --help`);
+        if(FLAGS.includes(name) && match[2] !== undefined) throw new Error(`--${name} takes no value`);
+
+        if(FLAGS.includes(name)) opts[name] = true;
+        else if(match[2] !== undefined) opts[name] = match[2];
+        else {
+            if(i + 1 >= argv.length) throw new Error(`--${name} needs a value`);
+            i += 1;
+            opts[name] = argv[i];
+        }
+    }
+    return { args, opts };
+}
+
+/**
+ * @ignore
+ * @param {Object} opts - command line options
+ * @returns {Object} - Airtable api parameters
+ */
+function readParams(opts) {
+    const params = {};
+    if(opts.where) params.filterByFormula = parseWhere(opts.where);
+    if(opts.view) params.view = opts.view;
+    if(opts.fields) params.fields = opts.fields.split(',').map(field => field.trim());
+    if(opts.max) params.maxRecords = parseInt(opts.max, 10);
+    return params;
+}
+
+/**
+ * @ignore
+ * @param {string[]} args - source and dest table names
+ * @param {Object} opts - command line options
+ * @returns {Object} - source and dest configs of the table copy
+ */
+function copyConfigs([sourceTable, destTable], opts) {
+    if(!sourceTable || !destTable) throw new Error('a source and a dest table are needed');
+    if(opts.view || opts.max) throw new Error('--view and --max only apply to read, table copies take --where and --fields');
+    const source = { tableName: sourceTable };
+    const dest = { tableName: destTable };
+    if(opts['source-base'] || opts.base) source.baseID = opts['source-base'] || opts.base;
+    if(opts['dest-base'] || opts.base) dest.baseID = opts['dest-base'] || opts.base;
+    if(opts.where) source.where = parseWhere(opts.where);
+    if(opts.fields) source.fields = opts.fields.split(',').map(field => field.trim());
+    return { source, dest };
+}
+
+/**
+ * Reads the source records of a table copy the way the copy does, for previews
+ *
+ * @ignore
+ * @param {Object} inst - AirtablePlus instance
+ * @param {Object} source - source config of the table copy
+ * @returns {Promise} - records that would be copied
+ */
+function readCopy(inst, { where, fields, ...table }) {
+    const params = {};
+    if(where) params.filterByFormula = where;
+    if(fields) params.fields = fields;
+    return inst.read(params, table);
+}
+
+/**
+ * @ignore
+ * @param {string} where - formula or JSON filter object
+ * @returns {string|Object} - filterByFormula string or filter object
+ */
+function parseWhere(where) {
+    return /^\s*[[{]/.test(where)? parseJSON(where) : where;
+}
+
+/**
+ * @ignore
+ * @param {string} text - JSON text
+ * @returns {*} - parsed value
+ */
+function parseJSON(text) {
+    try {
+        return JSON.parse(text);
+    }
+    catch(e) {
+        throw new Error(`invalid JSON: ${e.message}`);
+    }
+}
+
+/**
+ * @ignore
+ * @param {string} [json] - JSON argument
+ * @param {Object} io - streams
+ * @returns {Promise} - JSON argument or stdin, parsed
+ */
+async function readJSON(json, io) {
+    if(json !== undefined && json !== '-') return parseJSON(json);
+    if(io.stdin.isTTY) throw new Error('pass the JSON as an argument or pipe it to stdin');
+
+    let text = '';
+    for await (const chunk of io.stdin) text += chunk;
+    return parseJSON(text);
+}
+
+/**
+ * Asks for confirmation on the terminal, unless --yes was passed. Without
+ * a terminal to ask on, destructive commands need --yes.
+ *
+ * @ignore
+ * @param {string} question - what is about to happen
+ * @param {Object} opts - command line options
+ * @param {Object} io - streams
+ * @returns {Promise} - true if the command should go on
+ */
+async function confirm(question, opts, io) {
+    if(opts.yes) return true;
+    if(!io.stdin.isTTY) throw new Error(`${question} Pass --yes to confirm`);
+
+    const rl = readline.createInterface({ input: io.stdin, output: io.stderr });
+    const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+    rl.close();
+
+    const confirmed = /^y(es)?$/i.test(answer.trim());
+    if(!confirmed) io.stderr.write('Aborted\n');
+    return confirmed;
+}
+
+/**
+ * @ignore
+ * @param {string} action - create, update or delete
+ * @param {Object[]} records - { id, fields } objects
+ * @returns {Object[]} - records with the action that would be taken
+ */
+function preview(action, records) {
+    return records.map(({ id, fields }) => ({ action, id: action === 'create'? null : id, fields }));
+}
+
+/**
+ * @ignore
+ * @param {Object} inst - AirtablePlus instance
+ * @param {Object} config - command line config overrides
+ * @returns {string} - name of the table the command runs on
+ */
+function tableName(inst, config) {
+    return config.tableName || inst.config.tableName;
+}
+
+/**
+ * @ignore
+ * @param {Object} fields - field values
+ * @param {string[]} keys - field names
+ * @returns {Object} - the values of the given fields
+ */
+function pick(fields, keys) {
+    return keys.reduce((res, key) => ({ ...res, [key]: fields[key] }), {});
+}
+
+/**
+ * Returns the records of a batch result, failing the process if any failed
+ *
+ * @ignore
+ * @param {Object} result - records and failed arrays
+ * @returns {Object} - records and the failed entries with their error messages
+ */
+function unwrap({ records, failed }) {
+    if(failed.length === 0) return records;
+    process.exitCode = 1;
+    return { records, failed: failed.map(({ index, error }) => ({ index, error: error.message })) };
+}
+
+/**
+ * Formats records as an aligned text table or as CSV, with the action,
+ * id and every field as columns
+ *
+ * @ignore
+ * @param {Object[]} records - record objects
+ * @param {string} format - table or csv
+ * @returns {string} - formatted records
+ */
+function formatRecords(records, format) {
+    records = records.filter(record => record && record.fields);
+    const base = records.some(record => record.action)? ['action', 'id'] : ['id'];
+    const columns = [...new Set([].concat(base, ...records.map(({ fields }) => Object.keys(fields))))];
+    const rows = records.map(record => columns.map(column => csv.formatValue(base.includes(column)? record[column] : record.fields[column])));
+
+    if(format === 'csv') return [columns, ...rows].map(csv.formatRow).join('');
+    if(records.length === 0) return '';
+
+    const cells = [columns, ...rows].map(row => row.map(cell => {
+        const text = cell.replace(/\s+/g, ' ');
+        return text.length > MAX_CELL_WIDTH? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+    }));
+    const widths = columns.map((column, i) => Math.max(...cells.map(row => row[i].length)));
+    const line = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+    return `${[line(cells[0]), widths.map(width => '-'.repeat(width)).join('  '), ...cells.slice(1).map(line)].join('\n')}\n`;
+}
+
+if(require.main === module) {
+    main(process.argv.slice(2)).catch(e => {
+        process.stderr.write(`airtable-plus: ${e.message}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = main;
@@ -1,4 +1,27 @@
 "use strict";
 const AirtablePlus = require('./lib/AirtablePlus');
+const BatchError = require('./lib/BatchError');
+const ValidationError = require('./lib/ValidationError');
+const Schema = require('./lib/Schema');
+const formula = require('./lib/formula');
+const AirtableDriver = require('./lib/AirtableDriver');
+const MemoryDriver = require('./lib/MemoryDriver');
+const FieldMap = require('./lib/FieldMap');
+const Journal = require('./lib/Journal');
+const Cache = require('./lib/Cache');
+const LRUStore = require('./lib/LRUStore');
+const Watcher = require('./lib/Watcher');
 
-module.exports = AirtablePlus;
\ No newline at end of file
+AirtablePlus.BatchError = BatchError;
+AirtablePlus.ValidationError = ValidationError;
+AirtablePlus.Schema = Schema;
+AirtablePlus.formula = formula;
+AirtablePlus.AirtableDriver = AirtableDriver;
+AirtablePlus.MemoryDriver = MemoryDriver;
+AirtablePlus.FieldMap = FieldMap;
+AirtablePlus.Journal = Journal;
+AirtablePlus.Cache = Cache;
+AirtablePlus.LRUStore = LRUStore;
+AirtablePlus.Watcher = Watcher;
+
+module.exports = AirtablePlus;
@@ -0,0 +1,123 @@
+const Airtable = require('airtable');
+
+/**
+ * Default driver, backed by the Airtable sdk. A driver is what AirtablePlus
+ * calls to read and write records, so any object implementing the same
+ * methods can be passed in as the driver config option (see MemoryDriver).
+ *
+ * Every driver method works with plain record objects shaped like the
+ * Airtable API: { id, fields, createdTime }.
+ *
+ * @param {function} base - Airtable sdk base instance
+ */
+class AirtableDriver {
+    constructor(base) {
+        this.base = base;
+    }
+
+    /**
+     * @returns {string} Airtable base ID
+     */
+    getId() {
+        return this.base.getId();
+    }
+
+    /**
+     * Reads a single page of records
+     *
+     * @param {string} tableName - Airtable table name
+     * @param {Object} [params] - Airtable api parameters, plus the offset of the page to read
+     * @returns {Promise} Object with records array and the next page offset
+     */
+    select(tableName, params = {}) {
+        const { offset, ...query } = params;
+        const table = this.base(tableName);
+
+        // the sdk query validates params but can't start from an offset, so it only runs the checks
+        table.select(query);
+        if(offset) query.offset = offset;
+
+        return new Promise((resolve, reject) => {
+            table._base.runAction('get', `/${table._urlEncodedNameOrId()}/`, query, null, (err, resp, body) => {
+                if(err) return reject(err);
+                resolve({ records: body.records, offset: body.offset });
+            });
+        });
+    }
+
+    /**
+     * @param {string} tableName - Airtable table name
+     * @param {string} rowID - Airtable Row ID
+     * @returns {Promise} Record object
+     */
+    async find(tableName, rowID) {
+        const record = await this.base(tableName).find(rowID);
+        return record._rawJson;
+    }
+
+    /**
+     * @param {string} tableName - Airtable table name
+     * @param {Object[]} records - Up to 10 field objects
+     * @param {Object} [options] - Write options
+     * @param {boolean} [options.typecast] - Lets Airtable convert the values to the field types
+     * @returns {Promise} Array of created record objects
+     */
+    async create(tableName, records, options) {
+        const created = await this.base(tableName).create(records.map(fields => ({ fields })), writeParams(options));
+        return created.map(record => record._rawJson);
+    }
+
+    /**
+     * @param {string} tableName - Airtable table name
+     * @param {Object[]} records - Up to 10 { id, fields } objects, fields not passed in are retained
+     * @param {Object} [options] - Write options, see create
+     * @returns {Promise} Array of updated record objects
+     */
+    async update(tableName, records, options) {
+        const updated = await this.base(tableName).update(records.map(({ id, fields }) => ({ id, fields })), writeParams(options));
+        return updated.map(record => record._rawJson);
+    }
+
+    /**
+     * @param {string} tableName - Airtable table name
+     * @param {Object[]} records - Up to 10 { id, fields } objects, fields not passed in are cleared
+     * @param {Object} [options] - Write options, see create
+     * @returns {Promise} Array of replaced record objects
+     */
+    async replace(tableName, records, options) {
+        const replaced = await this.base(tableName).replace(records.map(({ id, fields }) => ({ id, fields })), writeParams(options));
+        return replaced.map(record => record._rawJson);
+    }
+
+    /**
+     * @param {string} tableName - Airtable table name
+     * @param {string[]} rowIDs - Up to 10 Airtable Row IDs
+     * @returns {Promise} Array of { id, deleted } objects
+     */
+    async destroy(tableName, rowIDs) {
+        const deleted = await this.base(tableName).destroy(rowIDs);
+        return deleted.map(({ id }) => ({ id, deleted: true }));
+    }
+
+    /**
+     * Wraps a record object for complex mode
+     *
+     * @param {string} tableName - Airtable table name
+     * @param {Object} record - Record object
+     * @returns {Object} Airtable sdk record with helper methods attached
+     */
+    toRecord(tableName, record) {
+        return new Airtable.Record(this.base(tableName), null, record);
+    }
+}
+
+/**
+ * @ignore
+ * @param {Object} [options] - write options
+ * @returns {Object} - optional parameters of the sdk write, typecast only being sent when set
+ */
+function writeParams({ typecast } = {}) {
+    return typecast? { typecast: true } : {};
+}
+
+module.exports = AirtableDriver;
@@ -1,11 +1,72 @@
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 const Airtable = require('airtable');
 const camelcaseKeys = require('camelcase-keys');
 const pMap = require('p-map');
+const BatchError = require('./BatchError');
+const ValidationError = require('./ValidationError');
+const Schema = require('./Schema');
+const Scheduler = require('./Scheduler');
+const AirtableDriver = require('./AirtableDriver');
+const FieldMap = require('./FieldMap');
+const Journal = require('./Journal');
+const Cache = require('./Cache');
+const Watcher = require('./Watcher');
+const formula = require('./formula');
+const { recordKey, diffFields, matchText } = require('./diff');
+const csv = require('./csv');
+const ndjson = require('./ndjson');
+
+// Airtable rejects batch writes with more records than this in a single request
+const MAX_RECORDS_PER_REQUEST = 10;
+
+// keeps key lookup formulas well under Airtable's url length limit
+const MAX_FORMULA_LENGTH = 4000;
+
+const DEFAULT_ENDPOINT_URL = 'https://api.airtable.com';
+const DEFAULT_REQUEST_TIMEOUT = 300 * 1000;
+
+const FORMATS = ['csv', 'ndjson'];
+
+// methods plugins hook into, with the position of the argument holding their config
+const HOOKED_METHODS = {
+    create: 1,
+    createMany: 1,
+    read: 1,
+    find: 1,
+    update: 2,
+    updateMany: 1,
+    updateWhere: 2,
+    replace: 2,
+    replaceMany: 1,
+    replaceWhere: 2,
+    delete: 1,
+    deleteMany: 1,
+    deleteWhere: 1,
+    truncate: 0,
+    upsert: 2,
+    upsertMany: 2,
+    appendTable: 1,
+    overwriteTable: 1,
+    syncTable: 1,
+    rollback: 2
+};
+
+// the hooked calls in progress of each instance, so the calls they make run their hooks as nested calls
+const runningHooks = new AsyncLocalStorage();
+
+// schema types whose csv cells hold comma separated values
+const LIST_TYPES = ['multipleSelects', 'linkedRecord', 'attachment'];
 
 /**
      * Creates an Airtable api object. Additional parameters can be set to the global configuration
      * object each method uses on subsequent calls. The instance will default to environment
-     * variables for apiKey, baseID, and tableName if not passed into configuration object.
+     * variables for apiKey, accessToken, baseID, and tableName if not passed into configuration object.
+     * 
+     * Each instance, and each call made with an override config, gets its own Airtable client
+     * so instances using different credentials or endpoints can run side by side. A credential
+     * passed in wins over the ones set on the instance or in the environment: passing only an
+     * apiKey never ends up sending an access token, and the other way around.
      * 
      * @example
      * //common usage
@@ -17,28 +78,94 @@ const pMap = require('p-map');
      * // instantiating with all optional parameters set to their defaults
      * const inst = new AirtablePlus({
      *  apiKey: process.env.AIRTABLE_API_KEY,
+     *  accessToken: process.env.AIRTABLE_ACCESS_TOKEN,
      *  baseID: process.env.AIRTABLE_BASE_ID,
      *  tableName: process.env.AIRTABLE_TABLE_NAME,
+     *  endpointUrl: process.env.AIRTABLE_ENDPOINT_URL || 'https://api.airtable.com',
+     *  requestTimeout: 300000,
      *  camelCase: false,
      *  complex: false,
      *  transform: undefined // optional function to modify records on read
      * });
      * 
+     * // tuning the rate limit shared by every instance using the same base
+     * const inst = new AirtablePlus({
+     *  rateLimit: {
+     *      requestsPerSecond: 5,
+     *      maxRetries: 5,
+     *      retryDelay: 5000,
+     *      maxRetryDelay: 60000,
+     *      onQueue: depth => console.log(`${depth} requests queued`),
+     *      onRetry: ({ attempt, delay, error }) => console.warn(`retry #${attempt} in ${delay}ms`, error)
+     *  }
+     * });
+     * 
+     * // reading and writing with code friendly field names
+     * const inst = new AirtablePlus({
+     *  fieldMap: { firstName: 'First Name', email: 'Email Address' }
+     * });
+     * await inst.create({ firstName: 'foo' }); // => { id, fields: { firstName: 'foo' }, createdTime }
+     * 
+     * // validating and coercing writes before they are sent
+     * const inst = new AirtablePlus({
+     *  schemas: {
+     *      'Table 1': { Name: { type: 'text', required: true }, Age: 'number' }
+     *  }
+     * });
+     * 
+     * // snapshotting destructive calls so they can be rolled back
+     * const inst = new AirtablePlus({
+     *  journal: new AirtablePlus.Journal({ file: './journal.json' })
+     * });
+     * 
+     * // caching reads until the table is written to or 30 seconds went by
+     * const inst = new AirtablePlus({
+     *  cache: new AirtablePlus.Cache({ ttl: 30000 })
+     * });
+     * 
+     * // running against an in-memory base instead of Airtable
+     * const inst = new AirtablePlus({
+     *  tableName: 'Table 1',
+     *  driver: new AirtablePlus.MemoryDriver({ tables: { 'Table 1': [] } })
+     * });
+     * 
      * @param {Object} config - Configuration object
      * @param {string} [config.apiKey] - Airtable API key
+     * @param {string} [config.accessToken] - Airtable personal access token, used instead of an apiKey passed in the same config
      * @param {string} [config.baseID] - Airtable base ID
+     * @param {string} [config.endpointUrl] - Airtable API endpoint URL
+     * @param {number} [config.requestTimeout] - Request timeout in milliseconds
      * @param {string} [config.tableName] - Airtable table name
      * @param {string} [config.camelCase] - Converts column name object keys to camel case in JSON response
      * @param {string} [config.concurrency] - Sets concurrency for async iteration functions
      * @param {boolean} [config.complex] - Flag to return full Airtable record object with helper methods attached
      * @param {function} [config.transform] - Optional global transform function for reads
+     * @param {Object|boolean} [config.rateLimit] - Request scheduler options shared per base, false to disable
+     * @param {number} [config.rateLimit.requestsPerSecond=5] - Max requests started per second against the base
+     * @param {number} [config.rateLimit.maxRetries=5] - Retries before a 429 or 5xx error is thrown
+     * @param {boolean} [config.rateLimit.retryWrites=false] - Retry writes failing with a 5xx error too, they are otherwise only retried on 429
+     * @param {number} [config.rateLimit.retryDelay=5000] - Exponential backoff base in milliseconds
+     * @param {number} [config.rateLimit.maxRetryDelay=60000] - Exponential backoff cap in milliseconds
+     * @param {function} [config.rateLimit.onQueue] - Called with the queue depth as requests are queued and started
+     * @param {function} [config.rateLimit.onRetry] - Called with { attempt, delay, error } before each retry
+     * @param {Object} [config.fieldMap] - Object of code field names to Airtable column names, applied to reads, writes, fields, sort and filters
+     * @param {Object} [config.schemas] - Schema definitions or Schema instances keyed by table name (see Schema)
+     * @param {Object} [config.driver] - Backend driver replacing the Airtable sdk (see AirtableDriver and MemoryDriver)
+     * @param {boolean} [config.typecast] - Lets Airtable convert written values to the field types, like text to numbers or new select options
+     * @param {Journal} [config.journal] - Journal recording destructive calls so they can be rolled back (see Journal)
+     * @param {Cache|boolean} [config.cache] - Read-through cache for reads (see Cache), false in a call override to skip it
      */
 class AirtablePlus {
-    constructor(config) {
+    constructor(config = {}) {
         this.config = this._mergeConfig({
-            apiKey: process.env.AIRTABLE_API_KEY,
+            ...this._credentials(config || {}, {
+                apiKey: process.env.AIRTABLE_API_KEY,
+                accessToken: process.env.AIRTABLE_ACCESS_TOKEN
+            }),
             baseID: process.env.AIRTABLE_BASE_ID,
             tableName: process.env.AIRTABLE_TABLE_NAME,
+            endpointUrl: process.env.AIRTABLE_ENDPOINT_URL || DEFAULT_ENDPOINT_URL,
+            requestTimeout: DEFAULT_REQUEST_TIMEOUT,
             camelCase: false,
             complex: false,
             concurrency: 1,
@@ -64,10 +191,41 @@ class AirtablePlus {
      */
     async create(data, config) {
         if(!data) throw new Error("data object empty");
-        const { tableName, base, complex } = this._mergeConfig(config);
+        const cfg = this._mergeConfig(config);
+        [data] = this._validate([data], cfg);
+
+        const [record] = await cfg.driver.create(cfg.tableName, [this._toFields(data, cfg)], { typecast: cfg.typecast });
+        await this._invalidateCache(cfg);
+        return this._toRecord(record, cfg);
+    }
+
+    /**
+     * Creates many rows at once, sending them to Airtable in batches of 10.
+     * A failed batch does not stop the others, each record that could not be
+     * created is reported back in the failed array along with its input index.
+     * 
+     * @example
+     * const { records, failed } = await inst.createMany([{ firstName: 'foo' }, { firstName: 'bar' }]);
+     * 
+     * @param {Object[]} records - Array of create data objects
+     * @param {Object} [config] - Optional configuration override
+     * @param {string} [config.tableName] - Airtable table name
+     * @param {string} [config.baseID] - Airtable base id
+     * @param {string} [config.concurrency] - Sets how many batches are sent at once
+     * @param {boolean} [config.complex] - Flag to return full Airtable record object with helper methods attached
+     * @returns {Promise} Object with created records and failed { index, data, error } entries
+     */
+    async createMany(records, config) {
+        if(!Array.isArray(records)) throw new Error("records must be an array");
+        const cfg = this._mergeConfig(config);
+        records = this._validate(records, cfg);
 
-        const record = await base(tableName).create(data);
-        return complex? record : record._rawJson;
+        return this._batch(records, cfg, async batch => {
+            const created = await cfg.driver.create(cfg.tableName, batch.map(fields => this._toFields(fields, cfg)), { typecast: cfg.typecast });
+            this._recordWrites('create', created, cfg);
+            await this._invalidateCache(cfg);
+            return created.map(record => this._toRecord(record, cfg));
+        });
     }
     
     /**
@@ -83,8 +241,19 @@ class AirtablePlus {
      * // takes airtable api options
      * const res = await inst.read({ maxRecords: 1 });
      * 
+     * // filterByFormula can be a filter object that is compiled to an escaped formula
+     * const res = await inst.read({ filterByFormula: { Status: 'Active', Age: { gt: 30 } } });
+     * 
+     * // replaces linked record IDs with the records they point to, which can be expanded in turn
+     * const res = await inst.read({}, {
+     *  expand: {
+     *      Project: 'Projects',
+     *      Owner: { table: 'People', fields: ['Name', 'Team'], expand: { Team: 'Teams' } }
+     *  }
+     * });
+     * 
      * @param {Object|string} [params] - If string: sets Airtable table name, If object: Airtable api parameters 
-     * @param {string} [params.filterByFormula] - Airtable API parameter filterByFormula
+     * @param {string|Object} [params.filterByFormula] - Airtable API parameter filterByFormula or filter object (see formula)
      * @param {number} [params.maxRecords] - Airtable API parameter maxRecords
      * @param {number} [params.pageSize] - Airtable API parameter pageSize
      * @param {Object[]} [params.sort] - Airtable API parameter sort [{field: 'name, direction: 'asc'}]
@@ -98,32 +267,122 @@ class AirtablePlus {
      * @param {boolean} [config.complex] - Flag to return full Airtable record object with helper methods attached
      * @param {function} [config.transform] - Optional global transform function for reads
      * @param {function} [config.base] - Airtable sdk base instance
+     * @param {Object} [config.expand] - Linked record fields to expand, keyed by field name, to a table name or
+     * { table, baseID, fields, expand } object. Linked records are read with batched RECORD_ID() formulas, once per call,
+     * and IDs of records that can't be found are left in place
      * @returns {Promise} Array of record objects
      */
-    read(params, config) {
-        let { tableName, camelCase, transform, complex, base } = this._mergeConfig(config);
+    async read(params, config) {
+        let cfg = this._mergeConfig(config);
         if(typeof params === "string") {
-            tableName = params;
+            cfg = { ...cfg, tableName: params };
             params = {};
         }
-        
-        return new Promise((resolve, reject) => {
-            let data = [];
-            base(tableName).select(params || {}).eachPage((records, next) => {
-                data = data.concat(records.map(el => complex? el : el._rawJson));
-                next();
-            }, err => {
-                if(err) return reject(err);
-                if(camelCase) data = camelcaseKeys(data, { deep: true });
-
-                if(transform) {
-                    const transformed = data.map(el => transform({ ...el })).filter(el => !!el);
-                    if(transformed.length > 0) data = transformed;
-                }
 
-                resolve(data.filter(rows => !!rows));
-            });
-        });
+        const records = await this._cached('read', this._formatParams(params, cfg), cfg, () => this._selectAll(params, cfg));
+        const expanded = await this._expand(records, cfg.expand, cfg);
+        const data = this._formatRecords(expanded, cfg);
+
+        // a transform that filters out every record gets the untransformed records back
+        return data.length > 0 || !cfg.transform? data : this._formatRecords(expanded, { ...cfg, transform: undefined });
+    }
+
+    /**
+     * Reads a table one record at a time without holding the whole table in memory.
+     * Pages are only requested from Airtable as the iteration reaches them, so
+     * breaking out of the loop early stops any further requests. Takes the same
+     * params and config as read, and records are formatted the same way, down to
+     * a transform that filters out every record yielding the untransformed records.
+     * 
+     * @example
+     * for await (const record of inst.iterate({ view: 'Grid view' })) {
+     *  if(record.fields.Name === 'foo') break;
+     * }
+     * 
+     * @param {Object|string} [params] - If string: sets Airtable table name, If object: Airtable api parameters (see read)
+     * @param {Object} [config] - Optional configuration override
+     * @param {string} [config.tableName] - Airtable table name
+     * @param {string} [config.camelCase] - Converts column name object keys to camel case in JSON response
+     * @param {boolean} [config.complex] - Flag to return full Airtable record object with helper methods attached
+     * @param {function} [config.transform] - Optional global transform function for reads
+     * @param {function} [config.base] - Airtable sdk base instance
+     * @returns {AsyncIterable} Async iterable of record objects
+     */
+    async *iterate(params, config) {
+        for await (const page of this.iteratePages(params, config)) {
+            yield* page;
+        }
+    }
+
+    /**
+     * Reads a table one page at a time, see iterate. Each page is an array
+     * of up to pageSize (default 100) records. When a transform filters records
+     * out, the pages before the first record it keeps are held back, so they can
+     * be yielded untransformed if it keeps none.
+     * 
+     * @example
+     * for await (const records of inst.iteratePages({ pageSize: 50 })) {
+     *  await doSomething(records);
+     * }
+     * 
+     * @param {Object|string} [params] - If string: sets Airtable table name, If object: Airtable api parameters (see read)
+     * @param {Object} [config] - Optional configuration override
+     * @param {string} [config.tableName] - Airtable table name
+     * @param {string} [config.camelCase] - Converts column name object keys to camel case in JSON response
+     * @param {boolean} [config.complex] - Flag to return full Airtable record object with helper methods attached
+     * @param {function} [config.transform] - Optional global transform function for reads
+     * @param {function} [config.base] - Airtable sdk base instance
+     * @returns {AsyncIterable} Async iterable of record object arrays
+     */
+    async *iteratePages(params, config) {
+        let cfg = this._mergeConfig(config);
+        if(typeof params === "string") {
+            cfg = { ...cfg, tableName: params };
+            params = {};
+        }
+
+        let offset;
+        let untransformed = cfg.transform && [];
+        do {
+            const page = await this._fetchPage({ ...params, offset }, cfg);
+            offset = page.offset;
+
+            if(untransformed && page.records.length === 0) {
+                untransformed.push(this._formatRecords(page.raw, { ...cfg, transform: undefined }));
+                continue;
+            }
+            untransformed = null;
+            yield page.records;
+        } while(offset);
+
+        if(untransformed) yield* untransformed;
+    }
+
+    /**
+     * Reads a single page of records. The returned offset is a cursor that
+     * can be passed back in to get the following page, it is undefined
+     * once the last page has been read. Useful for paginated HTTP endpoints.
+     * Unlike read and iterate, a page whose records are all filtered out by
+     * the transform is returned empty.
+     * 
+     * @example
+     * const { records, offset } = await inst.readPage({ pageSize: 20 });
+     * const nextPage = await inst.readPage({ pageSize: 20, offset });
+     * 
+     * @param {Object} [params] - Airtable api parameters (see read)
+     * @param {string} [params.offset] - Cursor returned by the previous page
+     * @param {number} [params.pageSize] - Airtable API parameter pageSize
+     * @param {Object} [config] - Optional configuration override
+     * @param {string} [config.tableName] - Airtable table name
+     * @param {string} [config.camelCase] - Converts column name object keys to camel case in JSON response
+     * @param {boolean} [config.complex] - Flag to return full Airtable record object with helper methods attached
+     * @param {function} [config.transform] - Optional global transform function for reads
+     * @param {function} [config.base] - Airtable sdk base instance
+     * @returns {Promise} Object with records array and next page offset
+     */
+    async readPage(params, config) {
+        const { records, offset } = await this._fetchPage(params, this._mergeConfig(config));
+        return { records, offset };
     }
 
     /**
@@ -132,25 +391,30 @@ class AirtablePlus {
      * @example
      * const res = await inst.find('1234');
      * 
+     * const res = await inst.find('1234', { expand: { Owner: { table: 'People', fields: ['Name'] } } });
+     * 
      * @param {string} rowID - Airtable Row ID to query data from
      * @param {Object} [config] - Optional config override
      * @param {string} [config.tableName] - Airtable table name
      * @param {boolean} [config.complex] - Flag to return full Airtable record object with helper methods attached
      * @param {function} [config.base] - Airtable sdk base instance
+     * @param {Object} [config.expand] - Linked record fields to expand (see read)
      * @returns {Promise} Record object
      */
     async find(rowID, config) {
-        const { tableName, complex, base } = this._mergeConfig(config);
+        const cfg = this._mergeConfig(config);
 
-        const record = await base(tableName).find(rowID);
-        return complex? record : record._rawJson;
+        const found = await this._cached('find', rowID, cfg, () => cfg.driver.find(cfg.tableName, rowID));
+        const [record] = await this._expand([found], cfg.expand, cfg);
+        return this._toRecord(record, cfg);
     }    
 
     /**
      * Updates a row in Airtable. Unlike the replace method anything
      * not passed into the update data object still will be retained.
      * You must send in an object with the keys in the same casing
-     * as the Airtable table columns (even when using camelCase=true in config)
+     * as the Airtable table columns (even when using camelCase=true in config),
+     * or the field names set in the fieldMap config
      * 
      * @example
      * const res = await inst.update('1234', { firstName: 'foobar' });
@@ -164,20 +428,47 @@ class AirtablePlus {
      * @returns {Promise} Array of record objects
      */
     async update(rowID, data, config) {
-        const { tableName, base, complex } = this._mergeConfig(config);
+        const cfg = this._mergeConfig(config);
+        [data] = this._validate([data], cfg, { partial: true });
+
+        const [record] = await cfg.driver.update(cfg.tableName, [{ id: rowID, fields: this._toFields(data, cfg) }], { typecast: cfg.typecast });
+        await this._invalidateCache(cfg);
+        return this._toRecord(record, cfg);
+    }
 
-        const record = await base(tableName).update(rowID, data);
-        return complex? record : record._rawJson;
+    /**
+     * Updates many rows at once, sending them to Airtable in batches of 10.
+     * Like update, fields not passed in are retained. Records in a batch that
+     * failed are reported back in the failed array along with their input index.
+     * 
+     * @example
+     * const { records, failed } = await inst.updateMany([
+     *  { id: '1234', fields: { firstName: 'foo' } },
+     *  { id: '5678', fields: { firstName: 'bar' } }
+     * ]);
+     * 
+     * @param {Object[]} records - Array of { id, fields } objects to update
+     * @param {Object} [config] - Optional config override
+     * @param {string} [config.tableName] - Airtable table name
+     * @param {string} [config.concurrency] - Sets how many batches are sent at once
+     * @param {boolean} [config.complex] - Flag to return full Airtable record object with helper methods attached
+     * @param {function} [config.base] - Airtable sdk base instance
+     * @returns {Promise} Object with updated records and failed { index, data, error } entries
+     */
+    async updateMany(records, config) {
+        return this._updateMany('update', records, config);
     }
 
     /**
-     * Performs a bulk update based on a search criteria. The criteria must
-     * be formatted in the valid Airtable formula syntax (see Airtable API docs)
+     * Performs a bulk update based on a search criteria. The criteria can
+     * be a valid Airtable formula string (see Airtable API docs) or a filter object (see formula)
      * 
      * @example
      * const res = await inst.updateWhere('firstName = "foo"', { firstName: 'fooBar' });
      * 
-     * @param {string} where - filterByFormula string to filter table data by
+     * const res = await inst.updateWhere({ firstName: 'foo' }, { firstName: 'fooBar' });
+     * 
+     * @param {string|Object} where - filterByFormula string or filter object to filter table data by, it can't be empty
      * @param {Object} data - Data to update if where condition is met
      * @param {Object} [config] - Optional configuration override
      * @param {string} [config.baseID] - Airtable base ID
@@ -189,12 +480,13 @@ class AirtablePlus {
      * @returns {Promise} Array of record objects
      */
     async updateWhere(where, data, config) {
-        const cfg = this._mergeConfig(config);
-        const rows = await this.read({ filterByFormula: where }, cfg);
+        let cfg = this._mergeConfig(config);
+        this._checkWhere(where);
+        [data] = this._validate([data], cfg, { partial: true });
+        const rows = await this._selectAll({ filterByFormula: where }, cfg);
+        cfg = this._beginJournal('updateWhere', rows, cfg);
 
-        return pMap(rows, async row => {
-            return this.update(cfg.complex? row.getId() : row.id, data, cfg);
-        }, { concurrency: cfg.concurrency });
+        return this._unwrapBatch(await this.updateMany(rows.map(({ id }) => ({ id, fields: data })), cfg));
     }
 
     /**
@@ -214,20 +506,47 @@ class AirtablePlus {
      * @returns {Promise} Record object
      */
     async replace(rowID, data, config) {
-        const { tableName, base, complex } = this._mergeConfig(config);
+        const cfg = this._mergeConfig(config);
+        [data] = this._validate([data], cfg);
+
+        const [record] = await cfg.driver.replace(cfg.tableName, [{ id: rowID, fields: this._toFields(data, cfg) }], { typecast: cfg.typecast });
+        await this._invalidateCache(cfg);
+        return this._toRecord(record, cfg);
+    }
 
-        const record = await base(tableName).replace(rowID, data);
-        return complex? record : record._rawJson;
+    /**
+     * Replaces many rows at once, sending them to Airtable in batches of 10.
+     * Like replace, any cells not passed in will be cleared. Records in a batch
+     * that failed are reported back in the failed array along with their input index.
+     * 
+     * @example
+     * const { records, failed } = await inst.replaceMany([
+     *  { id: '1234', fields: { firstName: 'foo' } },
+     *  { id: '5678', fields: { firstName: 'bar' } }
+     * ]);
+     * 
+     * @param {Object[]} records - Array of { id, fields } objects to replace
+     * @param {Object} [config] - Optional config override
+     * @param {string} [config.tableName] - Airtable table name
+     * @param {string} [config.concurrency] - Sets how many batches are sent at once
+     * @param {boolean} [config.complex] - Flag to return full Airtable record object with helper methods attached
+     * @param {function} [config.base] - Airtable sdk base instance
+     * @returns {Promise} Object with replaced records and failed { index, data, error } entries
+     */
+    async replaceMany(records, config) {
+        return this._updateMany('replace', records, config);
     }
 
     /**
-     * Performs a bulk replace based on a given search criteria. The criteria must
-     * be formatted in the valid Airtable formula syntax (see Airtable API docs)
+     * Performs a bulk replace based on a given search criteria. The criteria can
+     * be a valid Airtable formula string (see Airtable API docs) or a filter object (see formula)
      * 
      * @example
      * const res = await inst.replaceWhere('firstName = "foo"', { firstName: 'fooBar' });
      * 
-     * @param {string} where - filterByFormula string to filter table data by
+     * const res = await inst.replaceWhere({ firstName: 'foo' }, { firstName: 'fooBar' });
+     * 
+     * @param {string|Object} where - filterByFormula string or filter object to filter table data by, it can't be empty
      * @param {Object} data - Data to replace if where condition is met
      * @param {Object} [config] - Optional configuration override
      * @param {string} [config.baseID] - Airtable base ID
@@ -239,12 +558,13 @@ class AirtablePlus {
      * @returns {Promise} Array of record objects
      */
     async replaceWhere(where, data, config) {
-        const cfg = this._mergeConfig(config);
-        const rows = await this.read({ filterByFormula: where }, cfg);
+        let cfg = this._mergeConfig(config);
+        this._checkWhere(where);
+        [data] = this._validate([data], cfg);
+        const rows = await this._selectAll({ filterByFormula: where }, cfg);
+        cfg = this._beginJournal('replaceWhere', rows, cfg);
 
-        return pMap(rows, async row => {
-            return this.replace(cfg.complex? row.getId() : row.id, data, cfg);
-        }, { concurrency: cfg.concurrency });
+        return this._unwrapBatch(await this.replaceMany(rows.map(({ id }) => ({ id, fields: data })), cfg));
     }
 
     /**
@@ -262,25 +582,51 @@ class AirtablePlus {
      * @returns {Promise} Record object
      */
     async delete(rowID, config) {
-        const { tableName, base, complex } = this._mergeConfig(config);
+        const cfg = this._mergeConfig(config);
+
+        const [record] = await cfg.driver.destroy(cfg.tableName, [rowID]);
+        await this._invalidateCache(cfg);
+        return this._toDeletedRecord(record, cfg);
+    }
 
-        const record = await base(tableName).destroy(rowID);
+    /**
+     * Deletes many rows at once, sending them to Airtable in batches of 10.
+     * IDs in a batch that failed are reported back in the failed array
+     * along with their input index.
+     * 
+     * @example
+     * const { records, failed } = await inst.deleteMany(['1234', '5678']);
+     * 
+     * @param {string[]} rowIDs - Airtable Row IDs to delete
+     * @param {Object} [config] - Optional config override
+     * @param {string} [config.tableName] - Airtable table name
+     * @param {string} [config.concurrency] - Sets how many batches are sent at once
+     * @param {boolean} [config.complex] - Flag to return full Airtable record object with helper methods attached
+     * @param {function} [config.base] - Airtable sdk base instance
+     * @returns {Promise} Object with deleted records and failed { index, data, error } entries
+     */
+    async deleteMany(rowIDs, config) {
+        if(!Array.isArray(rowIDs)) throw new Error("rowIDs must be an array");
+        const cfg = this._mergeConfig(config);
 
-        return complex? record : ({
-            id: record.id,
-            fields: {},
-            createdTime: null
+        return this._batch(rowIDs, cfg, async batch => {
+            const deleted = await cfg.driver.destroy(cfg.tableName, batch);
+            this._recordWrites('delete', deleted, cfg);
+            await this._invalidateCache(cfg);
+            return deleted.map(record => this._toDeletedRecord(record, cfg));
         });
     }
 
     /**
-     * Performs a bulk delete based on a search criteria. The criteria must
-     * be formatted in the valid Airtable formula syntax (see Airtable API docs)
+     * Performs a bulk delete based on a search criteria. The criteria can
+     * be a valid Airtable formula string (see Airtable API docs) or a filter object (see formula)
      * 
      * @example
      * const res = await inst.deleteWhere('firstName = "foo"');
      * 
-     * @param {string} where - filterByFormula string to filter table data by
+     * const res = await inst.deleteWhere({ lastLogin: { lt: new Date('2019-01-01') } });
+     * 
+     * @param {string|Object} where - filterByFormula string or filter object to filter table data by, it can't be empty
      * @param {Object} data - Data to delete if where condition is met
      * @param {Object} [config] - Optional configuration override
      * @param {string} [config.baseID] - Airtable base ID
@@ -292,12 +638,12 @@ class AirtablePlus {
      * @returns {Promise} Array of record objects
      */
     async deleteWhere(where, config) {
-        const cfg = this._mergeConfig(config);
-        const rows = await this.read({ filterByFormula: where }, cfg);
+        let cfg = this._mergeConfig(config);
+        this._checkWhere(where);
+        const rows = await this._selectAll({ filterByFormula: where }, cfg);
+        cfg = this._beginJournal('deleteWhere', rows, cfg);
 
-        return pMap(rows, async row => {
-            return this.delete(cfg.complex? row.getId() : row.id, cfg);
-        }, { concurrency: cfg.concurrency });
+        return this._unwrapBatch(await this.deleteMany(rows.map(({ id }) => id), cfg));
     }
 
     /**
@@ -311,15 +657,26 @@ class AirtablePlus {
      * @returns {Promise} Array of record objects
      */
     async truncate(config) {
-        const cfg = this._mergeConfig(config);
-        const rows = await this.read({}, cfg);
-        return Promise.all(rows.map((row) => this.delete(cfg.complex? row.getId() : row.id, cfg)));
+        let cfg = this._mergeConfig(config);
+        const rows = await this._selectAll({}, cfg);
+        cfg = this._beginJournal('truncate', rows, cfg);
+
+        return this._unwrapBatch(await this.deleteMany(rows.map(({ id }) => id), cfg));
     }
 
     /**
      * Reads all the values from one table and appends to another table. Allows for
      * selective appending by sending optional fields and filters. 
      * 
+     * A copy plan makes the copy work between tables that aren't identical, like the same
+     * table in another base. Read-only fields are left out, those listed in the plan and
+     * the ones with a read-only type in the source or dest schema (see Schema). Attachments
+     * are always copied by url. Linked record IDs of the fields in plan.links point to the
+     * source base, they are remapped to the dest records having the same value in the key
+     * column of the linked table. With copyLinked the linked records are first upserted
+     * into the dest linked table on that key, using the link's own plan if it has one.
+     * Nothing is written if a linked record has no match, unless missingLinks is drop.
+     * 
      * @example
      * // complex usage in the same base
      * const res = await inst.appendTable('Read', 'Write');
@@ -327,37 +684,46 @@ class AirtablePlus {
      * // allows for configuration of both source and dest
      * const res = await inst.appendTable({ tableName: 'Read', baseID: 'xxx' },  { tableName: 'Write' })
      * 
+     * // copying to another base with a copy plan
+     * const res = await inst.appendTable({ tableName: 'Tasks', baseID: 'appSource' }, { tableName: 'Tasks', baseID: 'appDest' }, {
+     *  readOnly: ['Days Left', 'Task #'],
+     *  links: {
+     *      Owner: { table: 'People', key: 'Email' },
+     *      Project: { table: 'Projects', key: 'Code', plan: { readOnly: ['Task Count'] } }
+     *  },
+     *  copyLinked: true
+     * });
+     * 
      * @param {Object|string} source - if string, source represents source table name
      * @param {string} source.tableName - Source table name
      * @param {string} [source.baseID] - Source base id
      * @param {string} [source.fields] - What fields to copy over to destination table
-     * @param {string} [source.where] - Filter passed in to conditionally copy
+     * @param {string|Object} [source.where] - Formula string or filter object passed in to conditionally copy
      * @param {Object|string} dest - if string, dest represents dest table name
      * @param {string} dest.tableName - Dest table name
      * @param {string} [dest.baseID] - Dest base id
      * @param {string} [dest.concurrency] - Dest concurrency when creating new values
+     * @param {Object} [plan] - Copy plan
+     * @param {string[]} [plan.readOnly] - Fields left out of the copy, on top of those with a read-only schema type
+     * @param {Object} [plan.links] - Linked record fields to remap, keyed by field name, to { table, key, destTable, plan } objects
+     * @param {boolean} [plan.copyLinked=false] - Upsert the linked records into the dest linked tables first
+     * @param {string} [plan.missingLinks=error] - error to write nothing when a linked record has no match, drop to leave it out
      * @returns {Promise} Array of record objects
      */
-    async appendTable(sourceCfg, destCfg) {
+    async appendTable(sourceCfg, destCfg, plan) {
         if(typeof sourceCfg === 'string') sourceCfg = { tableName: sourceCfg };
         if(typeof destCfg === 'string') destCfg = { tableName: destCfg };
 
-        let { concurrency = 1, ...dest } = destCfg;
-        destCfg = dest;
-
-        const rows = await this.read({
-            filterByFormula: sourceCfg.where || '',
-            fields: sourceCfg.fields || []
-        }, sourceCfg);
-
-        return pMap(rows, async ({ fields }) => {
-            return this.create(fields, destCfg);
-        }, { concurrency });
+        const { concurrency = 1, ...dest } = destCfg;
+        const records = await this._readCopy(sourceCfg, { ...dest, concurrency }, plan);
+        return this._unwrapBatch(await this.createMany(records, { ...dest, concurrency }));
     }
 
     /**
      * Copies/Overwrites one table into another. The source table will have all rows deleted
-     * prior to having the source rows inserted.
+     * prior to having the source rows inserted. Destination record IDs change on every run,
+     * see syncTable for a copy that only applies the differences. Nothing is deleted
+     * if the source can't be read or the copy plan fails.
      * 
      * @example
      * // complex usage in the same base
@@ -370,17 +736,134 @@ class AirtablePlus {
      * @param {string} source.tableName - Source table name
      * @param {string} [source.baseID] - Source base id
      * @param {string} [source.fields] - What fields to copy over to destination table
-     * @param {string} [source.where] - Filter passed in to conditionally copy
+     * @param {string|Object} [source.where] - Formula string or filter object passed in to conditionally copy
      * @param {Object|string} dest - if string, dest represents dest table name
      * @param {string} dest.tableName - Dest table name
      * @param {string} [dest.baseID] - Dest base id
      * @param {string} [dest.concurrency] - Dest concurrency when creating new values
+     * @param {Object} [plan] - Copy plan (see appendTable)
      * @returns {Promise} Array of record objects
      */
-    async overwriteTable(sourceCfg, destCfg) {
+    async overwriteTable(sourceCfg, destCfg, plan) {
+        if(typeof destCfg === 'string') destCfg = { tableName: destCfg };
+
+        // the deletes and creates go in one journal entry
+        const cfg = this._mergeConfig(destCfg);
+        if(cfg.journal) destCfg = { ...destCfg, journalEntry: cfg.journalEntry || this._beginJournal('overwriteTable', [], cfg).journalEntry };
+
+        if(typeof sourceCfg === 'string') sourceCfg = { tableName: sourceCfg };
+        const { concurrency = 1, ...dest } = destCfg;
+
+        // the copy is read and planned before anything is deleted, so a plan that fails leaves the dest as it was
+        const records = await this._readCopy(sourceCfg, { ...dest, concurrency }, plan);
+        await this.truncate(dest);
+        return this._unwrapBatch(await this.createMany(records, { ...dest, concurrency }));
+    }
+
+    /**
+     * Makes the destination table match the source table by applying only the
+     * differences between them. Rows are matched on one or more key fields: source rows
+     * missing from the destination are inserted, matched rows with changed values are
+     * updated and destination rows missing from the source are deleted. Record IDs of
+     * unchanged and updated rows are kept, so links into the destination table don't break.
+     * Works across bases, and rows of either table whose key is blank or matches more than
+     * one row are left alone and reported as ambiguous.
+     * 
+     * The synced fields are source.fields, or every field found in the source rows, but the
+     * ones declared read-only in the destination schema. A synced field that is empty in a
+     * source row is cleared in its destination row, other destination fields are left alone.
+     * 
+     * Inserts and updates are applied before deletes, so a failed run never leaves the
+     * destination with fewer rows than it should have.
+     * 
+     * @example
+     * // see what would change without writing anything
+     * const plan = await inst.syncTable('Read', 'Write', { key: 'Email', dryRun: true });
+     * 
+     * // allows for configuration of both source and dest
+     * const res = await inst.syncTable({ tableName: 'Read', baseID: 'xxx' }, { tableName: 'Write' }, { key: ['Email', 'Org'] });
+     * 
+     * @param {Object|string} source - if string, source represents source table name
+     * @param {string} source.tableName - Source table name
+     * @param {string} [source.baseID] - Source base id
+     * @param {string} [source.fields] - What fields to sync to the destination table
+     * @param {string|Object} [source.where] - Formula string or filter object passed in to conditionally sync
+     * @param {Object|string} dest - if string, dest represents dest table name
+     * @param {string} dest.tableName - Dest table name
+     * @param {string} [dest.baseID] - Dest base id
+     * @param {string} [dest.concurrency] - Dest concurrency when writing changes
+     * @param {Object} options - Sync options
+     * @param {string|string[]} options.key - Field names whose values identify a row in both tables
+     * @param {boolean} [options.dryRun=false] - Return the planned changes without writing them
+     * @returns {Promise} Changeset with inserts, updates ({ id, fields, before }), deletes and ambiguous arrays,
+     * plus created, updated, deleted and failed arrays once applied
+     */
+    async syncTable(sourceCfg, destCfg, { key, dryRun = false } = {}) {
+        if(typeof sourceCfg === 'string') sourceCfg = { tableName: sourceCfg };
         if(typeof destCfg === 'string') destCfg = { tableName: destCfg };
-        await this.truncate(destCfg);
-        return this.appendTable(sourceCfg, destCfg);
+        const keys = [].concat(key || []);
+        if(keys.length === 0) throw new Error("at least one key field is required");
+
+        const plain = { complex: false, camelCase: false, transform: undefined, expand: undefined };
+        const sourceRows = await this.read({
+            filterByFormula: formula.compile(sourceCfg.where),
+            fields: sourceCfg.fields || []
+        }, { ...sourceCfg, ...plain });
+        const destRows = await this.read({}, { ...destCfg, ...plain });
+
+        const hasKey = ({ fields }) => keys.every(name => fields[name] !== undefined && fields[name] !== null && fields[name] !== '');
+        const group = rows => rows.filter(hasKey).reduce((res, row) => {
+            const rowKey = recordKey(row.fields, keys);
+            res.set(rowKey, (res.get(rowKey) || []).concat(row));
+            return res;
+        }, new Map());
+        const sourceByKey = group(sourceRows);
+        const destByKey = group(destRows);
+        // Airtable leaves empty fields out, so a field missing from a source row is one to clear
+        const schema = this._getSchema(this._mergeConfig(destCfg));
+        const readOnly = schema? schema.readOnlyFields() : [];
+        const synced = (sourceCfg.fields || [...new Set([].concat(...sourceRows.map(({ fields }) => Object.keys(fields))))])
+            .filter(name => !readOnly.includes(name));
+        const withSynced = fields => synced.filter(name => fields[name] !== undefined).reduce((res, name) => ({ ...res, [name]: fields[name] }), {});
+        const withCleared = fields => synced.reduce((res, name) => ({ ...res, [name]: fields[name] === undefined? null : fields[name] }), {});
+
+        const changes = { inserts: [], updates: [], deletes: [], ambiguous: [] };
+        sourceRows.filter(row => !hasKey(row)).forEach(row => changes.ambiguous.push({ row, reason: 'missing key' }));
+        destRows.filter(row => !hasKey(row)).forEach(row => changes.ambiguous.push({ row, reason: 'missing key in destination' }));
+
+        sourceByKey.forEach((rows, rowKey) => {
+            const matches = destByKey.get(rowKey) || [];
+            if(rows.length > 1) return changes.ambiguous.push({ row: rows[0], matches, reason: 'duplicate key' });
+            if(matches.length > 1) return changes.ambiguous.push({ row: rows[0], matches, reason: 'multiple matches' });
+            if(matches.length === 0) return changes.inserts.push(withSynced(rows[0].fields));
+
+            const fields = diffFields(matches[0].fields, withCleared(rows[0].fields));
+            if(Object.keys(fields).length > 0) changes.updates.push({ id: matches[0].id, fields, before: matches[0].fields });
+        });
+        destRows.filter(row => hasKey(row) && !sourceByKey.has(recordKey(row.fields, keys)))
+            .forEach(row => changes.deletes.push(row));
+
+        if(dryRun) return changes;
+
+        // the writes go in one journal entry, holding the prior values of the rows updated and deleted
+        const cfg = this._mergeConfig(destCfg);
+        if(cfg.journal) {
+            const changed = [...changes.updates.map(({ id, before }) => ({ id, fields: before })), ...changes.deletes];
+            const snapshot = changed.map(({ id, fields }) => ({ id, fields: this._toFields(fields, cfg) }));
+            destCfg = { ...destCfg, journalEntry: this._beginJournal('syncTable', snapshot, cfg).journalEntry };
+        }
+
+        const created = await this.createMany(changes.inserts, destCfg);
+        const updated = await this.updateMany(changes.updates.map(({ id, fields }) => ({ id, fields })), destCfg);
+        const deleted = await this.deleteMany(changes.deletes.map(({ id }) => id), destCfg);
+
+        return {
+            ...changes,
+            created: created.records,
+            updated: updated.records,
+            deleted: deleted.records,
+            failed: [...created.failed, ...updated.failed, ...deleted.failed]
+        };
     }
 
     /**
@@ -400,62 +883,1280 @@ class AirtablePlus {
     */
     async upsert(key, data, config) {
         if(!key || !data) throw new Error('please check passed parameters. key and data are required');
+        if(data[key] === undefined || data[key] === null || data[key] === '') throw new Error(`data has no value for key field ${key}`);
         const cfg = this._mergeConfig(config);
 
         const rows = await this.read({
-            filterByFormula: `${this._formatColumnFilter(key)} = ${data[key]}`
+            filterByFormula: formula.compile({ [key]: data[key] })
         }, cfg);
         if(rows.length === 0) return this.create(data, cfg);
         
-        return pMap(rows, row => {
-            return this.update(cfg.complex? row.getId() : row.id, data, cfg);
-        }, { concurrency: cfg.concurrency });
+        return this._unwrapBatch(await this.updateMany(rows.map(row => ({
+            id: cfg.complex? row.getId() : row.id,
+            fields: data
+        })), cfg));
     }
 
     /**
-     * Performs validations on object for current function run
-     * Allows the package user to pass in an override config
-     * object to change table name, apiKey, etc. at any time
-     *
-     * @ignore
-     * @param {Object} config - override config object
-     * @returns {Object} - local configuration object
+     * Upserts many records at once, matching them to existing rows on one or more key fields.
+     * Existing rows are fetched with as few formula reads as possible, and only the fields that
+     * changed are sent, so rows that are already up to date are skipped. Records matching more
+     * than one row, or sharing their key with an earlier record, are left alone and reported
+     * as ambiguous. Creates and updates are sent in batches of 10. With typecast set, a text value
+     * that reads the same as the existing value, like '5' for 5 or 'a, b' for ['a', 'b'], is unchanged.
+     * 
+     * @example
+     * const report = await inst.upsertMany(contacts, { keys: ['Email', 'Org'] });
+     * // => { created: [...], updated: [...], unchanged: [...], ambiguous: [...], failed: [...] }
+     * 
+     * @param {Object[]} records - Array of data objects
+     * @param {Object} options - Upsert options
+     * @param {string|string[]} options.keys - Field names whose values identify a row
+     * @param {Object} [config] - Optional config override
+     * @param {string} [config.tableName] - Airtable table name
+     * @param {string} [config.baseID] - Airtable base id
+     * @param {string} [config.concurrency] - Sets how many batches are sent at once
+     * @param {boolean} [config.complex] - Flag to return full Airtable record object with helper methods attached
+     * @param {boolean} [config.typecast] - Lets Airtable convert written values to the field types
+     * @returns {Promise} Report with created, updated, unchanged, ambiguous ({ index, fields, matches, reason }) and failed ({ index, data, error }) arrays
      */
-    _mergeConfig(config) {
-        if(!config) return this.config;
-        let override = {};
-        if(typeof config === "string") override.tableName = config;
+    async upsertMany(records, { keys } = {}, config) {
+        if(!Array.isArray(records)) throw new Error("records must be an array");
+        keys = [].concat(keys || []);
+        if(keys.length === 0) throw new Error("at least one key field is required");
 
-        if(typeof config === "object") {
-            if(typeof config.transform !== "function") config.transform = undefined;
-            override = config;
-        }
+        const cfg = this._mergeConfig(config);
+        records = this._validate(records, cfg, { partial: true });
+        records.forEach((fields, index) => keys.forEach(key => {
+            if(fields[key] === undefined || fields[key] === null || fields[key] === '') {
+                throw new Error(`record ${index} has no value for key field ${key}`);
+            }
+        }));
+
+        const existing = await this._findByKeys(records, keys, cfg);
+        const report = { created: [], updated: [], unchanged: [], ambiguous: [], failed: [] };
+        const creates = [];
+        const updates = [];
+        const seen = new Set();
+
+        records.forEach((fields, index) => {
+            const key = recordKey(fields, keys);
+            const matches = existing.get(key) || [];
+
+            if(seen.has(key)) return report.ambiguous.push({ index, fields, matches, reason: 'duplicate key' });
+            seen.add(key);
+
+            if(matches.length > 1) return report.ambiguous.push({ index, fields, matches, reason: 'multiple matches' });
+            if(matches.length === 0) return creates.push({ index, fields });
+
+            const changes = diffFields(matches[0].fields, cfg.typecast? matchText(matches[0].fields, fields) : fields);
+            if(Object.keys(changes).length === 0) return report.unchanged.push(matches[0]);
+            updates.push({ index, id: matches[0].id, fields: changes });
+        });
+
+        // creates need their required fields and defaults checked before any update goes out
+        this._validate(creates.map(({ fields }) => fields), cfg, { indexes: creates.map(({ index }) => index) });
+
+        const created = await this.createMany(creates.map(({ fields }) => fields), cfg);
+        const updated = await this.updateMany(updates.map(({ id, fields }) => ({ id, fields })), cfg);
+
+        report.created = created.records;
+        report.updated = updated.records;
+        report.failed = [
+            ...created.failed.map(failure => ({ ...failure, index: creates[failure.index].index })),
+            ...updated.failed.map(failure => ({ ...failure, index: updates[failure.index].index }))
+        ];
+
+        return report;
+    }
 
-        let cfg = { ...this.config, ...override };
+    /**
+     * Exports a table as CSV or newline delimited JSON. Records are read and written one
+     * page at a time, so large tables are never held in memory when a stream is passed.
+     * CSV cells are flattened: linked record IDs, multiple selects and lookups are joined
+     * with a comma, attachments become their url and collaborators their email. The CSV
+     * columns are the id followed by columns or params.fields. Without them every page is read
+     * before anything is written, as Airtable leaves empty fields out and any page can hold
+     * a field the others don't, so pass them to stream large tables.
+     * JSON lines hold { id, createdTime, fields } with attachments reduced to { url, filename }.
+     * 
+     * @example
+     * await inst.exportTable({ view: 'Grid view' }, { format: 'csv', stream: fs.createWriteStream('users.csv') });
+     * 
+     * const text = await inst.exportTable({ fields: ['Name', 'Email'] }, { format: 'ndjson' });
+     * 
+     * @param {Object|string} [params] - If string: sets Airtable table name, If object: Airtable api parameters (see read)
+     * @param {Object} [options] - Export options
+     * @param {string} [options.format=csv] - csv or ndjson
+     * @param {Object} [options.stream] - Writable stream to write into, the text is returned when not set
+     * @param {boolean} [options.end=true] - End the stream once every record is written
+     * @param {string[]} [options.columns] - CSV columns, overriding params.fields
+     * @param {Object} [config] - Optional configuration override
+     * @param {string} [config.tableName] - Airtable table name
+     * @param {string} [config.baseID] - Airtable base id
+     * @returns {Promise} Number of exported records when writing into a stream, the exported text otherwise
+     */
+    async exportTable(params, { format = 'csv', stream, end = true, columns } = {}, config) {
+        if(!FORMATS.includes(format)) throw new Error(`unknown format "${format}", should be one of ${FORMATS.join(', ')}`);
+        const cfg = this._mergeConfig(config);
+        if(!columns && params && Array.isArray(params.fields) && params.fields.length > 0) columns = params.fields;
 
-        if(cfg.apiKey !== Airtable.apiKey) {
-            Airtable.apiKey = cfg.apiKey;
-            cfg.base = Airtable.base(cfg.baseID);
+        let text = '';
+        const write = async chunk => {
+            if(!stream) text += chunk;
+            else if(!stream.write(chunk)) await new Promise(resolve => stream.once('drain', resolve));
+        };
+
+        let pages = this.iteratePages(params, { ...cfg, complex: false });
+        if(format === 'csv' && !columns) {
+            const read = [];
+            for await (const records of pages) read.push(records);
+            columns = [...new Set([].concat(...[].concat(...read).map(({ fields }) => Object.keys(fields))))];
+            pages = read;
         }
+        if(format === 'csv') await write(csv.formatRow(['id', ...columns]));
 
-        if(!cfg.base || (cfg.baseID !== cfg.base.getId())) cfg.base = Airtable.base(cfg.baseID);
+        let count = 0;
+        for await (const records of pages) {
+            for(const { id, createdTime, fields } of records) {
+                await write(format === 'csv'
+                    ? csv.formatRow([id, ...columns.map(name => csv.formatValue(fields[name]))])
+                    : ndjson.formatRow({ id, createdTime, fields: ndjson.formatFields(fields) }));
+                count += 1;
+            }
+        }
 
-        return cfg;
+        if(!stream) return text;
+        if(end) await new Promise((resolve, reject) => stream.end(error => (error? reject(error) : resolve())));
+        return count;
     }
 
     /**
-     * Determines if a Column name is multiple words, which results in being
-     * wrapped in curly braces. Useful for Airtable filterByFormula queries.
+     * Imports a CSV or newline delimited JSON file into a table, inserting every row or
+     * upserting them on key fields. The file is parsed as it is read and written in batches,
+     * so large files aren't held in memory. Headers are mapped to fields through columnMap,
+     * the id column written by exportTable is skipped unless mapped, and empty cells are left out.
+     * 
+     * Values are coerced through the schema passed in or registered for the table: CSV cells
+     * of multiple select, linked record and attachment fields are split on commas, and numbers,
+     * checkboxes and dates are parsed. Without a schema, values are written with typecast so
+     * Airtable converts them to the field types, and upserted cells that read the same as the
+     * existing values, the way exportTable writes them, are left unchanged. Lines that can't be
+     * parsed, fail validation or are rejected by Airtable don't stop the import, they are listed
+     * in the rejected array of the report. Airtable rejects a batch of 10 as a whole, so rejected
+     * batches are written again one row at a time to only report the rows at fault.
+     * 
+     * @example
+     * const report = await inst.importTable('./users.csv', {
+     *  columnMap: { 'E-mail': 'Email', Notes: null },
+     *  key: 'Email'
+     * });
+     * report.rejected.forEach(({ line, error }) => console.log(`line ${line}: ${error.message}`));
      * 
-     * Ex. 'Column ID' => '{Column ID}'
+     * @param {string|Object} input - File path or readable stream
+     * @param {Object} [options] - Import options
+     * @param {string} [options.format] - csv or ndjson, guessed from the file extension by default
+     * @param {Object} [options.columnMap] - Object of headers to field names, null to skip a column
+     * @param {string|string[]} [options.key] - Field names to upsert on, rows are always inserted when not set
+     * @param {Object|Schema} [options.schema] - Schema used to coerce values instead of the one registered for the table
+     * @param {number} [options.batchSize=100] - Rows parsed before each write
+     * @param {Object} [config] - Optional configuration override
+     * @param {string} [config.tableName] - Airtable table name
+     * @param {string} [config.baseID] - Airtable base id
+     * @param {string} [config.concurrency] - Sets how many batches of 10 are sent at once
+     * @returns {Promise} Report with total, created, updated and unchanged counts and a rejected array of { line, data, error }
+     */
+    async importTable(input, { format, columnMap = {}, key, schema, batchSize = 100 } = {}, config) {
+        if(!input) throw new Error('a file path or stream is required');
+        if(!format) format = typeof input === 'string' && /\.(ndjson|jsonl)$/i.test(input)? 'ndjson' : 'csv';
+        if(!FORMATS.includes(format)) throw new Error(`unknown format "${format}", should be one of ${FORMATS.join(', ')}`);
+
+        const cfg = this._mergeConfig(config);
+        const keys = [].concat(key || []);
+        if(schema && !(schema instanceof Schema)) schema = new Schema(schema);
+        schema = schema || this._getSchema(cfg);
+
+        const report = { total: 0, created: 0, updated: 0, unchanged: 0, rejected: [] };
+        const reject = ({ line, data }, error) => report.rejected.push({ line, data, error });
+        const writeCfg = schema? cfg : { ...cfg, typecast: true };
+        // server errors may come after the write was applied, so only rejected requests are retried
+        const rejected = error => error.statusCode >= 400 && error.statusCode < 500;
+
+        const write = async rows => {
+            if(rows.length === 0) return;
+            const records = rows.map(({ fields }) => fields);
+            let failed;
+            try {
+                if(keys.length > 0) {
+                    const res = await this.upsertMany(records, { keys }, writeCfg);
+                    report.created += res.created.length;
+                    report.updated += res.updated.length;
+                    report.unchanged += res.unchanged.length;
+                    res.ambiguous.forEach(({ index, reason }) => reject(rows[index], new Error(`${reason} for ${keys.join(', ')}`)));
+                    failed = res.failed;
+                }
+                else {
+                    const res = await this.createMany(records, writeCfg);
+                    report.created += res.records.length;
+                    failed = res.failed;
+                }
+            }
+            catch(e) {
+                if(!(e instanceof ValidationError)) throw e;
+                // the registered schema can reject rows the import checks let through, write the rest
+                const invalid = new Set(e.errors.map(({ index }) => index));
+                invalid.forEach(index => reject(rows[index], this._toLineError(rows[index].line, e.errors.filter(error => error.index === index))));
+                return write(rows.filter((row, index) => !invalid.has(index)));
+            }
+
+            for(const { index, error } of failed) {
+                if(rows.length > 1 && rejected(error)) await write([rows[index]]);
+                else reject(rows[index], error);
+            }
+        };
+
+        let rows = [];
+        const source = typeof input === 'string'? fs.createReadStream(input) : input;
+        for await (const row of this._readImportRows(source, format)) {
+            report.total += 1;
+            if(row.error) {
+                reject(row, row.error);
+                continue;
+            }
+
+            const fields = this._toImportFields(row.data, columnMap, schema);
+            const missing = keys.find(name => fields[name] === undefined);
+            const result = schema? schema.validate(fields, { partial: keys.length > 0 }) : { fields, errors: [] };
+
+            if(Object.keys(fields).length === 0) reject(row, new Error('row has no values'));
+            else if(missing) reject(row, new Error(`no value for key field ${missing}`));
+            else if(result.errors.length > 0) reject(row, this._toLineError(row.line, result.errors));
+            else rows.push({ ...row, fields: result.fields });
+
+            if(rows.length >= batchSize) {
+                await write(rows);
+                rows = [];
+            }
+        }
+        await write(rows);
+
+        report.rejected.sort((a, b) => a.line - b.line);
+        return report;
+    }
+
+    /**
+     * Watches a table for created, updated and deleted records by polling it (see Watcher).
+     * Set modifiedField to a last modified time field of the table so each poll only reads
+     * the records changed since the previous one, otherwise every poll reads the whole table.
+     * Passing a file keeps the cursor of the watcher in it, so a restarted process resumes
+     * without replaying the changes it already saw.
+     * 
+     * @example
+     * const watcher = inst.watch({ table: 'Orders', modifiedField: 'Last Modified', interval: 10000, file: './orders.cursor.json' });
+     * watcher.on('created', ({ id, after }) => console.log('new order', id, after));
+     * watcher.on('updated', ({ id, changes }) => console.log(id, changes));
+     * watcher.on('deleted', ({ id, before }) => console.log('removed', id, before));
+     * watcher.on('error', console.error);
+     * 
+     * // or as an async iterator
+     * for await (const { type, id, changes } of inst.watch({ table: 'Orders' })) {
+     *  console.log(type, id, changes);
+     * }
+     * 
+     * @param {Object} [options] - Watch options
+     * @param {string} [options.table] - Airtable table name, the configured table if not set
+     * @param {string} [options.view] - Airtable view to watch
+     * @param {string[]} [options.fields] - Fields to watch, every field if not set
+     * @param {number} [options.interval=60000] - Milliseconds between polls
+     * @param {string} [options.modifiedField] - Last modified time field of the table
+     * @param {Object} [options.cursor] - Cursor of a previous watcher to resume from
+     * @param {string} [options.file] - JSON file to load the cursor from and save it to after every poll
+     * @param {boolean} [options.emitInitial=false] - Emit every record as created on the first poll
+     * @param {Object} [config] - Optional configuration override
+     * @param {string} [config.baseID] - Airtable base id
+     * @returns {Watcher} Event emitter and async iterable of change events
+     */
+    watch({ table, view, fields, interval, modifiedField, cursor, file, emitInitial } = {}, config) {
+        let cfg = this._mergeConfig(config);
+        if(table) cfg = { ...cfg, tableName: table };
+        // polls have to see the table as it is, bypassing the cache
+        const readCfg = { ...cfg, complex: false, camelCase: false, transform: undefined, expand: undefined, cache: false };
+
+        const params = {};
+        if(view) params.view = view;
+        if(fields) params.fields = modifiedField && !fields.includes(modifiedField)? [...fields, modifiedField] : fields;
+
+        return new Watcher({
+            read: query => this.read(query, readCfg),
+            params,
+            interval,
+            modifiedField,
+            cursor,
+            file,
+            emitInitial
+        });
+    }
+
+    /**
+     * Registers a schema for a table. Every write to the table through this instance
+     * is then validated and coerced up front, and a ValidationError listing every
+     * invalid field is thrown before anything is sent to Airtable.
+     * 
+     * @example
+     * inst.defineSchema('Users', {
+     *  Name: { type: 'text', required: true },
+     *  Email: { type: 'text', required: true },
+     *  Role: { type: 'singleSelect', options: ['Admin', 'Member'], default: 'Member' },
+     *  Active: 'checkbox'
+     * });
+     * 
+     * @param {string} tableName - Airtable table name
+     * @param {Object|Schema} fields - Field definitions (see Schema) or Schema instance
+     * @param {Object} [options] - Schema options
+     * @param {boolean} [options.strict=false] - Reject fields that aren't declared in the schema
+     * @returns {Schema} Registered schema
+     */
+    defineSchema(tableName, fields, options) {
+        const schema = fields instanceof Schema? fields : new Schema(fields, options);
+        this.config.schemas = { ...this.config.schemas, [tableName]: schema };
+        return schema;
+    }
+
+    /**
+     * Undoes the calls recorded in a journal, latest first. Rows created by a call are deleted,
+     * updated rows get the prior values of the fields that were written, replaced rows get all
+     * their prior values back and deleted rows are recreated from their snapshot. Recreated rows
+     * get new record IDs, which are reported so links to them can be fixed. Writes that are
+     * undone are marked in the journal, so rolling back again only retries the ones that failed.
+     * The rows are written with deleteMany, updateMany and createMany, so plugin hooks run for them.
+     * 
+     * Computed fields, like formulas and rollups, can't be written and should be listed in skipFields
+     * when the snapshots hold them.
+     * 
+     * @example
+     * const { restored, recreated, failed } = await inst.rollback(journal, { skipFields: ['Full Name'] });
+     * 
+     * // from the file of a journal, after a crash
+     * await inst.rollback('./journal.json');
+     * 
+     * @param {Journal|string} journal - Journal or the path of a journal file
+     * @param {Object} [options] - Rollback options
+     * @param {string[]} [options.skipFields] - Airtable column names left out of restored values
+     * @param {Object} [config] - Optional config override, the base and table come from the journal
+     * @param {string} [config.concurrency] - Sets how many batches are sent at once
+     * @returns {Promise} Report with restored and deleted record IDs, recreated { id, newId } and failed { id, action, error } arrays
+     */
+    async rollback(journal, { skipFields = [] } = {}, config) {
+        if(typeof journal === 'string') journal = new Journal({ file: journal });
+        if(!(journal instanceof Journal)) throw new Error('journal must be a Journal or the path of a journal file');
+
+        const report = { restored: [], recreated: [], deleted: [], failed: [] };
+        // deleted record IDs mapped to the IDs of their recreated rows
+        const moved = new Map();
+        const currentID = id => moved.get(id) || id;
+        const writable = fields => Object.keys(fields)
+            .filter(name => !skipFields.includes(name))
+            .reduce((res, name) => ({ ...res, [name]: fields[name] }), {});
+
+        const undo = async (cfg, action, items, fn) => {
+            const { records, failed } = await this._batch(items, cfg, fn);
+            records.forEach(({ writes }) => writes.forEach(write => { write.undone = true; }));
+            failed.forEach(({ data, error }) => report.failed.push({ id: data.id, action, error }));
+            return records;
+        };
+
+        // batches are written through the write methods, so their hooks run
+        const unwrap = ({ records, failed }) => {
+            if(failed.length > 0) throw failed[0].error;
+            return records;
+        };
+
+        for(const entry of [...journal.entries].reverse()) {
+            // snapshots hold Airtable column names and the values Airtable stored, so no fieldMap or schema applies
+            const cfg = this._mergeConfig({
+                ...config,
+                baseID: entry.baseID,
+                tableName: entry.tableName,
+                journal: undefined,
+                fieldMap: undefined,
+                schemas: undefined,
+                complex: false,
+                camelCase: false
+            });
+            const pending = entry.writes.filter(write => !write.undone);
+            const byRecord = action => [...pending.filter(write => action.includes(write.action)).reduce((res, write) => {
+                res.set(write.id, (res.get(write.id) || []).concat(write));
+                return res;
+            }, new Map())].map(([id, writes]) => ({ id, writes }));
+            const withSnapshot = items => items.filter(({ id, writes }) => {
+                if(!entry.snapshot[id]) report.failed.push({ id, action: writes[0].action, error: new Error('no snapshot of the record') });
+                return !!entry.snapshot[id];
+            });
+
+            const created = await undo(cfg, 'create', byRecord(['create']), async batch => {
+                unwrap(await this.deleteMany(batch.map(({ id }) => currentID(id)), cfg));
+                return batch;
+            });
+            report.deleted.push(...created.map(({ id }) => currentID(id)));
+
+            const restored = await undo(cfg, 'restore', withSnapshot(byRecord(['update', 'replace'])), async batch => {
+                unwrap(await this.updateMany(batch.map(({ id, writes }) => {
+                    const before = entry.snapshot[id];
+                    // a replace cleared every field, an update only the ones it wrote
+                    const names = [].concat(...writes.map(write => (write.action === 'replace'? Object.keys(before) : [])), ...writes.map(write => write.fields || []));
+                    return {
+                        id: currentID(id),
+                        fields: writable(names.reduce((res, name) => ({ ...res, [name]: before[name] === undefined? null : before[name] }), {}))
+                    };
+                }), cfg));
+                return batch;
+            });
+            report.restored.push(...restored.map(({ id }) => currentID(id)));
+
+            await undo(cfg, 'recreate', withSnapshot(byRecord(['delete'])), async batch => {
+                const recreated = unwrap(await this.createMany(batch.map(({ id }) => writable(entry.snapshot[id])), cfg));
+                batch.forEach(({ id }, i) => {
+                    moved.set(id, recreated[i].id);
+                    report.recreated.push({ id, newId: recreated[i].id });
+                });
+                return batch;
+            });
+
+            journal.save();
+        }
+
+        return report;
+    }
+
+    /**
+     * Registers a plugin whose hooks run around the record operations of the instance: create, read,
+     * find, update, replace, delete, their Many and Where variants, truncate, upsert, upsertMany,
+     * appendTable, overwriteTable, syncTable and rollback. Each hook gets a context object holding the
+     * method name, the args array and the config of the call, merged with the instance config.
+     * 
+     * Calls a method makes on the instance run their hooks too, with ctx.nested set and ctx.parent
+     * holding the context of the calling method: upsert runs the upsert hooks, then the create or
+     * updateMany ones. Every write ends up in create, update, replace, delete or their Many variants,
+     * rollback included, whose hooks get the journal in ctx.args[0]. Calls hooks make on the instance,
+     * like writing to an audit table, don't run any.
+     * 
+     * before hooks run in the order plugins were added and can change ctx.args, or cancel the call by
+     * throwing. after hooks run in reverse order with ctx.result, returning a value replaces the result.
+     * error hooks are told about errors thrown by the call or by other hooks, which are then rethrown,
+     * so the error of a nested call reaches the hooks of its parents too. Hooks can be async.
+     * 
+     * @example
+     * // blocks writes to a protected table, whichever method they are made from
+     * inst.use({
+     *  methods: ['create', 'createMany', 'update', 'updateMany', 'replace', 'replaceMany', 'delete', 'deleteMany'],
+     *  before: ({ method, config }) => {
+     *      if(config.tableName === 'Invoices') throw new Error(`${method} is not allowed on Invoices`);
+     *  }
+     * });
+     * 
+     * // stamps updates and records how long every call took
+     * inst.use({
+     *  before: ctx => {
+     *      ctx.start = Date.now();
+     *      if(ctx.method === 'update') ctx.args[1] = { ...ctx.args[1], 'Updated By': 'sync job' };
+     *  },
+     *  after: ctx => metrics.timing(ctx.method, Date.now() - ctx.start),
+     *  error: ctx => !ctx.nested && metrics.increment(`${ctx.method}.error`)
+     * });
+     * 
+     * @param {Object} plugin - Plugin object
+     * @param {function} [plugin.before] - Runs before the call with { method, args, config, nested, parent }
+     * @param {function} [plugin.after] - Runs after the call with { method, args, config, nested, parent, result }
+     * @param {function} [plugin.error] - Runs when the call or a hook failed with { method, args, config, nested, parent, error }
+     * @param {string[]} [plugin.methods] - Methods to hook into, every hooked method if not set
+     * @returns {AirtablePlus} The instance, for chaining
+     */
+    use(plugin) {
+        if(!plugin || !['before', 'after', 'error'].some(hook => typeof plugin[hook] === 'function')) {
+            throw new Error('a plugin needs a before, after or error hook');
+        }
+
+        if(!this.plugins) {
+            this.plugins = [];
+            Object.keys(HOOKED_METHODS).forEach(method => {
+                const fn = this[method];
+                this[method] = (...args) => this._runHooks(method, args, fn);
+            });
+        }
+        this.plugins.push(plugin);
+        return this;
+    }
+
+    /**
+     * Drops the cached reads of a table, for when it was changed outside of this instance.
+     * Writes made through the instance invalidate the table on their own.
+     * 
+     * @example
+     * await inst.invalidateCache(); // the configured table
+     * await inst.invalidateCache('Users');
+     * 
+     * @param {Object|string} [config] - Optional config override, if string: sets Airtable table name
+     * @param {string} [config.tableName] - Airtable table name
+     * @param {string} [config.baseID] - Airtable base id
+     * @returns {Promise} Resolves once the entries are dropped
+     */
+    async invalidateCache(config) {
+        await this._invalidateCache(this._mergeConfig(config));
+    }
+
+    /**
+     * Performs validations on object for current function run
+     * Allows the package user to pass in an override config
+     * object to change table name, apiKey, etc. at any time
+     *
+     * @ignore
+     * @param {Object} config - override config object
+     * @returns {Object} - local configuration object
+     */
+    _mergeConfig(config) {
+        if(!config) return this.config;
+        let override = {};
+        if(typeof config === "string") override.tableName = config;
+
+        if(typeof config === "object") {
+            if(typeof config.transform !== "function") config.transform = undefined;
+            override = config;
+        }
+
+        let cfg = { ...this.config, ...override, ...this._credentials(override, this.config || {}) };
+        if(cfg.fieldMap && !(cfg.fieldMap instanceof FieldMap)) cfg.fieldMap = new FieldMap(cfg.fieldMap);
+        if(cfg.driver && !(cfg.driver instanceof AirtableDriver)) return cfg;
+
+        if(!this._isClientCurrent(cfg)) cfg.base = this._createBase(cfg);
+        if(!cfg.driver || cfg.driver.base !== cfg.base) cfg.driver = new AirtableDriver(cfg.base);
+
+        return cfg;
+    }
+
+    /**
+     * Picks the credential to use, the one passed in winning over the defaults
+     * so an apiKey is never shadowed by a default access token, or the other way around
+     *
+     * @ignore
+     * @param {Object} config - config passed in
+     * @param {Object} defaults - config holding the default apiKey and accessToken
+     * @returns {Object} - apiKey and accessToken to use
+     */
+    _credentials(config, { apiKey, accessToken }) {
+        if(config.apiKey || config.accessToken) return { apiKey: config.apiKey, accessToken: config.accessToken };
+        return { apiKey, accessToken };
+    }
+
+    /**
+     * Determines if the sdk base instance in the config was created
+     * for the configured base, credentials, endpoint and timeout
+     *
+     * @ignore
+     * @param {Object} cfg - merged config object
+     * @returns {boolean} - true if the base instance can be reused
+     */
+    _isClientCurrent(cfg) {
+        if(!cfg.base || cfg.base.getId() !== cfg.baseID) return false;
+
+        const client = cfg.base._base._airtable;
+        return client._apiKey === (cfg.accessToken || cfg.apiKey)
+            && client._endpointUrl === cfg.endpointUrl
+            && client.requestTimeout === cfg.requestTimeout;
+    }
+
+    /**
+     * Creates an Airtable sdk base instance with its own client, so the
+     * credentials are never shared through the sdk's global configuration.
+     * Its requests all go through the scheduler shared by every instance targeting
+     * the same base ID, with the sdk's own rate limit retries turned off in favor of the scheduler's.
+     *
+     * @ignore
+     * @param {Object} cfg - merged config object
+     * @returns {function} - Airtable sdk base instance
+     */
+    _createBase(cfg) {
+        const client = new Airtable({
+            apiKey: cfg.accessToken || cfg.apiKey,
+            endpointUrl: cfg.endpointUrl,
+            requestTimeout: cfg.requestTimeout,
+            noRetryIfRateLimited: cfg.rateLimit !== false
+        });
+        if(cfg.rateLimit === false) return client.base(cfg.baseID);
+
+        const { onQueue, onRetry, ...policy } = cfg.rateLimit || {};
+        const scheduler = Scheduler.forBase(cfg.baseID, policy);
+        const base = client.base(cfg.baseID);
+        const runAction = base._base.runAction.bind(base._base);
+
+        base._base.runAction = base.runAction = (method, path, queryParams, bodyData, callback) => {
+            scheduler.schedule(() => new Promise((resolve, reject) => {
+                runAction(method, path, queryParams, bodyData, (err, resp, body) => {
+                    if(err) return reject(err);
+                    resolve({ resp, body });
+                });
+            }), { onQueue, onRetry }, { method }).then(({ resp, body }) => callback(null, resp, body), err => callback(err));
+        };
+
+        return base;
+    }
+
+    /**
+     * Runs a hooked method between the hooks of the plugins that apply to it
+     *
+     * @ignore
+     * @param {string} method - method name
+     * @param {Array} args - arguments of the call
+     * @param {function} fn - unhooked method
+     * @returns {Promise} - result of the call, as changed by the after hooks
+     */
+    async _runHooks(method, args, fn) {
+        // the context of the call in progress on this instance, or hook if it's a hook making the call
+        const running = runningHooks.getStore() || new Map();
+        const parent = running.get(this);
+        if(parent === 'hook') return fn.apply(this, args);
+
+        const plugins = this.plugins.filter(plugin => !plugin.methods || plugin.methods.includes(method));
+        const ctx = { method, args, nested: !!parent, parent };
+        // merged on access, so it follows the changes hooks make to the args
+        Object.defineProperty(ctx, 'config', {
+            enumerable: true,
+            get: () => {
+                const config = ctx.args[HOOKED_METHODS[method]];
+                if(method === 'read' && typeof ctx.args[0] === 'string') {
+                    return this._mergeConfig({ ...(typeof config === 'object'? config : {}), tableName: ctx.args[0] });
+                }
+                return this._mergeConfig(config);
+            }
+        });
+
+        const inHook = new Map(running).set(this, 'hook');
+        const inCall = new Map(running).set(this, ctx);
+        const hook = (plugin, name) => runningHooks.run(inHook, () => plugin[name](ctx));
+
+        try {
+            for(const plugin of plugins) {
+                if(plugin.before) await hook(plugin, 'before');
+            }
+
+            ctx.result = await runningHooks.run(inCall, () => fn.apply(this, ctx.args));
+
+            for(const plugin of [...plugins].reverse()) {
+                const result = plugin.after? await hook(plugin, 'after') : undefined;
+                if(result !== undefined) ctx.result = result;
+            }
+            return ctx.result;
+        }
+        catch(e) {
+            ctx.error = e;
+            for(const plugin of plugins) {
+                if(plugin.error) await hook(plugin, 'error');
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Returns the cached result of a read call, running it and caching
+     * its result on a miss. Calls are run as is when no cache is configured,
+     * and results aren't cached if the table was invalidated during the call.
+     *
+     * @ignore
+     * @param {string} method - name of the cached call
+     * @param {*} params - params identifying the call
+     * @param {Object} cfg - merged config object
+     * @param {function} fetch - runs the call
+     * @returns {Promise} - result of the call
+     */
+    async _cached(method, params, cfg, fetch) {
+        if(!cfg.cache) return fetch();
+
+        const scope = { baseID: cfg.driver.getId(), tableName: cfg.tableName };
+        const key = Cache.key(scope.baseID, scope.tableName, method, params);
+        const cached = await cfg.cache.get(key);
+        if(cached !== undefined) return cached;
+
+        const generation = cfg.cache.generation(scope);
+        const value = await fetch();
+        if(cfg.cache.generation(scope) === generation) await cfg.cache.set(key, value);
+        return value;
+    }
+
+    /**
+     * Drops the cached reads of the table written to, from the instance cache
+     * too when the call was made with cache set to false
+     *
+     * @ignore
+     * @param {Object} cfg - merged config object
+     * @returns {Promise} - resolves once the entries are dropped
+     */
+    async _invalidateCache(cfg) {
+        const caches = [...new Set([this.config.cache, cfg.cache])].filter(cache => cache instanceof Cache);
+        const scope = { baseID: cfg.driver.getId(), tableName: cfg.tableName };
+        await Promise.all(caches.map(cache => cache.invalidate(scope)));
+    }
+
+    /**
+     * Requests every page of records from Airtable, unformatted
+     *
+     * @ignore
+     * @param {Object} [params] - Airtable api parameters
+     * @param {Object} cfg - merged config object
+     * @returns {Promise} - Array of records returned by the driver
+     */
+    async _selectAll(params, cfg) {
+        let records = [];
+        let offset;
+        do {
+            const page = await cfg.driver.select(cfg.tableName, { ...this._formatParams(params, cfg), offset });
+            records = records.concat(page.records);
+            offset = page.offset;
+        } while(offset);
+
+        return records;
+    }
+
+    /**
+     * Opens the journal entry of a destructive call and snapshots the records it
+     * is about to change, when a journal is configured. Calls made on behalf of
+     * another one, like the truncate of overwriteTable, add to its entry.
+     *
+     * @ignore
+     * @param {string} operation - name of the destructive method
+     * @param {Object[]} records - records returned by the driver
+     * @param {Object} cfg - merged config object
+     * @returns {Object} - config object holding the journal entry writes are recorded to
+     */
+    _beginJournal(operation, records, cfg) {
+        if(!cfg.journal) return cfg;
+        const entry = cfg.journalEntry || cfg.journal.begin(operation, { baseID: cfg.baseID, tableName: cfg.tableName });
+        cfg.journal.snapshot(entry, records);
+        return { ...cfg, journalEntry: entry };
+    }
+
+    /**
+     * @ignore
+     * @param {string} action - create, update, replace or delete
+     * @param {Object[]} writes - { id, fields } objects that were written
+     * @param {Object} cfg - merged config object
+     */
+    _recordWrites(action, writes, cfg) {
+        if(cfg.journal && cfg.journalEntry) cfg.journal.record(cfg.journalEntry, action, writes);
+    }
+
+    /**
+     * Requests a single page of records from Airtable and formats them
+     *
+     * @ignore
+     * @param {Object} [params] - Airtable api parameters, including offset
+     * @param {Object} cfg - merged config object
+     * @returns {Promise} - Object with records array, next page offset and the raw driver records
+     */
+    async _fetchPage(params, cfg) {
+        const query = this._formatParams(params, cfg) || {};
+        const page = await this._cached('page', query, cfg, () => cfg.driver.select(cfg.tableName, query));
+        return {
+            records: this._formatRecords(page.records, cfg),
+            offset: page.offset,
+            raw: page.records
+        };
+    }
+
+    /**
+     * Formats records the way read returns them, as sdk records if complex,
+     * camel cased keys if configured and passed through the transform function
+     *
+     * @ignore
+     * @param {Object[]} records - record objects returned by the driver
+     * @param {Object} cfg - merged config object
+     * @returns {Object[]} - formatted records
+     */
+    _formatRecords(records, cfg) {
+        const { camelCase, transform } = cfg;
+        let data = records.map(record => this._toRecord(record, cfg));
+        if(camelCase) data = camelcaseKeys(data, { deep: true });
+
+        if(transform) data = data.map(el => transform({ ...el }));
+
+        return data.filter(rows => !!rows);
+    }
+
+    /**
+     * Wraps a record returned by the driver in an sdk record when complex is set,
+     * otherwise renames its fields through the fieldMap config
+     *
+     * @ignore
+     * @param {Object} record - record object returned by the driver
+     * @param {Object} cfg - merged config object
+     * @returns {Object} - record object or sdk record
+     */
+    _toRecord(record, cfg) {
+        if(cfg.complex) return cfg.driver.toRecord(cfg.tableName, record);
+        if(!cfg.fieldMap) return record;
+        return { ...record, fields: cfg.fieldMap.fromAirtable(record.fields) };
+    }
+
+    /**
+     * Reads the rows matching the key field values of the given records, using
+     * OR formulas that each hold as many records as fit in a request
+     *
+     * @ignore
+     * @param {Object[]} records - field values to match
+     * @param {string[]} keys - key field names
+     * @param {Object} cfg - merged config object
+     * @returns {Promise} - Map of record keys to matching rows
+     */
+    async _findByKeys(records, keys, cfg) {
+        const readCfg = { ...cfg, complex: false, camelCase: false, transform: undefined, expand: undefined };
+        const fields = [...new Set([].concat(keys, ...records.map(Object.keys)))];
+        const conditions = records.map(record => formula.compile(keys.reduce((res, key) => ({ ...res, [key]: record[key] }), {})));
+
+        const pages = await pMap(this._toOrFormulas(conditions), filterByFormula => this.read({
+            filterByFormula,
+            fields
+        }, readCfg), { concurrency: cfg.concurrency });
+
+        return [].concat(...pages).reduce((matches, row) => {
+            const key = recordKey(row.fields, keys);
+            matches.set(key, (matches.get(key) || []).concat(row));
+            return matches;
+        }, new Map());
+    }
+
+    /**
+     * Combines conditions into OR formulas that each hold as many
+     * conditions as fit in a request
+     *
+     * @ignore
+     * @param {string[]} conditions - formulas
+     * @returns {string[]} - OR formulas
+     */
+    _toOrFormulas(conditions) {
+        const groups = [];
+        let group = [];
+        let length = 0;
+        conditions.forEach(condition => {
+            if(group.length > 0 && length + condition.length > MAX_FORMULA_LENGTH) {
+                groups.push(group);
+                group = [];
+                length = 0;
+            }
+            group.push(condition);
+            length += condition.length + 2;
+        });
+        if(group.length > 0) groups.push(group);
+
+        return groups.map(group => (group.length > 1? `OR(${group.join(', ')})` : group[0]));
+    }
+
+    /**
+     * Replaces the linked record IDs of the fields in the expand option with
+     * the records they point to, expanding those in turn if the option is nested
+     *
+     * @ignore
+     * @param {Object[]} records - records returned by the driver
+     * @param {Object} [expand] - linked table names or { table, baseID, fields, expand } keyed by field name
+     * @param {Object} cfg - merged config object
+     * @param {Map} [cache] - linked records read so far in the call
+     * @returns {Promise} - records with expanded fields
+     */
+    async _expand(records, expand, cfg, cache = new Map()) {
+        if(!expand || records.length === 0) return records;
+
+        const linked = {};
+        for(const name of Object.keys(expand)) {
+            const spec = typeof expand[name] === 'string'? { table: expand[name] } : expand[name];
+            if(!spec || !spec.table) throw new Error(`expand of ${name} needs a table name`);
+
+            const column = cfg.fieldMap? cfg.fieldMap.toColumn(name) : name;
+            linked[column] = await this._readLinked(records, column, spec, cfg, cache);
+        }
+
+        return records.map(record => ({
+            ...record,
+            fields: Object.keys(linked).reduce((fields, column) => {
+                if(fields[column] === undefined || fields[column] === null) return fields;
+                return { ...fields, [column]: [].concat(fields[column]).map(id => linked[column].get(id) || id) };
+            }, { ...record.fields })
+        }));
+    }
+
+    /**
+     * Reads the records linked from a field that weren't read yet in the call,
+     * de-duplicating their IDs and requesting them with RECORD_ID() formulas
+     *
+     * @ignore
+     * @param {Object[]} records - records returned by the driver
+     * @param {string} column - Airtable column name of the linked record field
+     * @param {Object} spec - { table, baseID, fields, expand } object
+     * @param {Object} cfg - merged config object
+     * @param {Map} cache - linked records read so far in the call
+     * @returns {Promise} - Map of record IDs to linked records, null for the ones that weren't found
+     */
+    async _readLinked(records, column, spec, cfg, cache) {
+        const linkedCfg = this._mergeConfig({ ...cfg, tableName: spec.table, baseID: spec.baseID || cfg.baseID, expand: undefined });
+        const cacheKey = JSON.stringify([linkedCfg.baseID, spec.table, spec.fields, spec.expand]);
+        if(!cache.has(cacheKey)) cache.set(cacheKey, new Map());
+        const linked = cache.get(cacheKey);
+
+        const ids = [...new Set([].concat(...records.map(({ fields }) => fields[column] || [])))]
+            .filter(id => typeof id === 'string' && !linked.has(id));
+        if(ids.length === 0) return linked;
+
+        // nested expansions need their fields read too
+        const fields = spec.fields && [...new Set([...spec.fields, ...Object.keys(spec.expand || {})])];
+        const conditions = ids.map(id => `RECORD_ID() = ${formula.formatValue(id)}`);
+        const pages = await pMap(this._toOrFormulas(conditions), filterByFormula => this._selectAll(fields? { filterByFormula, fields } : { filterByFormula }, linkedCfg), { concurrency: cfg.concurrency });
+
+        const found = await this._expand([].concat(...pages), spec.expand, linkedCfg, cache);
+        ids.forEach(id => linked.set(id, null));
+        this._formatRecords(found, { ...linkedCfg, complex: false, camelCase: false, transform: undefined })
+            .forEach(record => linked.set(record.id, record));
+
+        return linked;
+    }
+
+    /**
+     * Reads the source rows of a table copy and prepares them for the dest table
+     *
+     * @ignore
+     * @param {Object} sourceCfg - source config
+     * @param {Object} destCfg - dest config
+     * @param {Object} [plan] - copy plan
+     * @returns {Promise} - field values to create in the dest table
+     */
+    async _readCopy(sourceCfg, destCfg, plan) {
+        const rows = await this.read({
+            filterByFormula: formula.compile(sourceCfg.where),
+            fields: sourceCfg.fields || []
+        }, sourceCfg);
+
+        const records = rows.map(({ fields }) => fields);
+        return plan? this._applyCopyPlan(records, sourceCfg, destCfg, plan) : records;
+    }
+
+    /**
+     * Prepares copied records for the dest table following a copy plan (see appendTable)
+     *
+     * @ignore
+     * @param {Object[]} records - field values read from the source table
+     * @param {Object} sourceCfg - source config
+     * @param {Object} destCfg - dest config
+     * @param {Object} plan - copy plan
+     * @returns {Promise} - field values to create in the dest table
+     */
+    async _applyCopyPlan(records, sourceCfg, destCfg, { readOnly = [], links = {}, copyLinked = false, missingLinks = 'error' }) {
+        const schemas = [this._getSchema(this._mergeConfig(sourceCfg)), this._getSchema(this._mergeConfig(destCfg))];
+        const dropped = new Set([].concat(readOnly, ...schemas.map(schema => (schema? schema.readOnlyFields() : []))));
+
+        const remaps = {};
+        for(const field of Object.keys(links)) {
+            if(!links[field] || !links[field].table || !links[field].key) throw new Error(`link of ${field} needs a table and a key`);
+            remaps[field] = await this._remapLinks(records, field, links[field], sourceCfg, destCfg, copyLinked);
+        }
+
+        const missing = [];
+        const copied = records.map((fields, index) => {
+            const copy = ndjson.formatFields(fields);
+            dropped.forEach(name => delete copy[name]);
+
+            Object.keys(remaps).filter(field => Array.isArray(copy[field])).forEach(field => {
+                copy[field] = copy[field].filter(id => {
+                    if(!remaps[field].has(id)) missing.push({ index, field, id });
+                    return remaps[field].has(id);
+                }).map(id => remaps[field].get(id));
+            });
+            return copy;
+        });
+
+        if(missing.length > 0 && missingLinks !== 'drop') {
+            const details = missing.slice(0, 5).map(({ index, field, id }) => `${field} ${id} (record ${index})`);
+            throw new Error(`${missing.length} linked records have no single match in the dest base: ${details.join(', ')}`);
+        }
+        return copied;
+    }
+
+    /**
+     * Maps the source IDs linked from a field to the dest records with the same
+     * key value, upserting the linked records into the dest table first with copyLinked
+     *
+     * @ignore
+     * @param {Object[]} records - field values read from the source table
+     * @param {string} field - linked record field name
+     * @param {Object} link - { table, key, destTable, plan } object
+     * @param {Object} sourceCfg - source config
+     * @param {Object} destCfg - dest config
+     * @param {boolean} copyLinked - upsert the linked records first
+     * @returns {Promise} - Map of source record IDs to dest record IDs
+     */
+    async _remapLinks(records, field, link, sourceCfg, destCfg, copyLinked) {
+        const plain = { complex: false, camelCase: false, transform: undefined, expand: undefined, where: undefined, fields: undefined, journalEntry: undefined };
+        const linkSource = { ...sourceCfg, ...plain, tableName: link.table };
+        const linkDest = { ...destCfg, ...plain, tableName: link.destTable || link.table };
+
+        const ids = [...new Set([].concat(...records.map(fields => fields[field] || [])))];
+        const conditions = ids.map(id => `RECORD_ID() = ${formula.formatValue(id)}`);
+        const pages = await pMap(this._toOrFormulas(conditions), filterByFormula => this.read(copyLinked
+            ? { filterByFormula }
+            : { filterByFormula, fields: [link.key] }, linkSource), { concurrency: 1 });
+        const linked = [].concat(...pages).filter(({ fields }) => fields[link.key] !== undefined && fields[link.key] !== '');
+
+        if(copyLinked && linked.length > 0) {
+            const dependencies = await this._applyCopyPlan(linked.map(({ fields }) => fields), linkSource, linkDest, { copyLinked, ...link.plan });
+            const { failed, ambiguous } = await this.upsertMany(dependencies, { keys: [link.key] }, linkDest);
+            if(ambiguous.length > 0) throw new Error(`${ambiguous.length} ${linkDest.tableName} records have ambiguous ${link.key} values`);
+            this._unwrapBatch({ records: [], failed });
+        }
+
+        const matches = await this._findByKeys(linked.map(({ fields }) => ({ [link.key]: fields[link.key] })), [link.key], this._mergeConfig(linkDest));
+        return linked.reduce((res, { id, fields }) => {
+            const dest = matches.get(recordKey(fields, [link.key])) || [];
+            if(dest.length === 1) res.set(id, dest[0].id);
+            return res;
+        }, new Map());
+    }
+
+    /**
+     * @ignore
+     * @param {Object} cfg - merged config object
+     * @returns {Schema} - schema registered for the table, undefined if there is none
+     */
+    _getSchema(cfg) {
+        const schema = cfg.schemas && cfg.schemas[cfg.tableName];
+        if(!schema || schema instanceof Schema) return schema;
+        return new Schema(schema);
+    }
+
+    /**
+     * Validates and coerces write payloads against the schema registered
+     * for the table, if there is one
+     *
+     * @ignore
+     * @param {Object[]} records - field values of each record being written
+     * @param {Object} cfg - merged config object
+     * @param {Object} [options] - Validation options
+     * @param {boolean} [options.partial] - Only check the fields present, for updates
+     * @param {number[]} [options.indexes] - Positions of the records in the caller's input, reported in the errors
+     * @returns {Object[]} - coerced field values
+     */
+    _validate(records, cfg, { partial, indexes } = {}) {
+        const schema = this._getSchema(cfg);
+        if(!schema) return records;
+
+        const errors = [];
+        const coerced = records.map((data, i) => {
+            const result = schema.validate(data, { partial });
+            const index = indexes? indexes[i] : i;
+            result.errors.forEach(error => errors.push({ index, ...error }));
+            return result.fields;
+        });
+
+        if(errors.length > 0) {
+            const numbered = records.length > 1 || !!indexes;
+            const details = errors.map(({ index, field, message }) => `${field} ${message}${numbered? ` (record ${index})` : ''}`);
+            throw new ValidationError(`invalid data for ${cfg.tableName}: ${details.join(', ')}`, errors);
+        }
+        return coerced;
+    }
+
+    /**
+     * Parses an import file into { line, data } objects, data being
+     * the cells keyed by their header
+     *
+     * @ignore
+     * @param {AsyncIterable} source - readable stream
+     * @param {string} format - csv or ndjson
+     * @returns {AsyncIterable} - { line, data } or { line, error } for each row
+     */
+    async *_readImportRows(source, format) {
+        if(format === 'ndjson') {
+            for await (const { line, value, error } of ndjson.parse(source)) {
+                // lines written by exportTable keep their values under fields
+                yield error? { line, error } : { line, data: value.fields && typeof value.fields === 'object'? value.fields : value };
+            }
+            return;
+        }
+
+        let headers;
+        for await (const { line, values, error } of csv.parse(source)) {
+            if(error) yield { line, error };
+            else if(!headers) headers = values;
+            else if(values.length !== headers.length) {
+                yield { line, data: values, error: new Error(`has ${values.length} columns, expected ${headers.length}`) };
+            }
+            else {
+                yield { line, data: headers.reduce((res, header, i) => ({ ...res, [header]: values[i] }), {}) };
+            }
+        }
+    }
+
+    /**
+     * Maps an imported row to field values through the column map,
+     * splitting the comma separated cells of list fields
+     *
+     * @ignore
+     * @param {Object} data - values keyed by header
+     * @param {Object} columnMap - headers to field names
+     * @param {Schema} [schema] - schema of the table
+     * @returns {Object} - field values
+     */
+    _toImportFields(data, columnMap, schema) {
+        return Object.keys(data).reduce((fields, header) => {
+            const mapped = Object.prototype.hasOwnProperty.call(columnMap, header);
+            const name = mapped? columnMap[header] : header;
+            const value = data[header];
+            if(!name || (!mapped && header === 'id') || value === '' || value === null || value === undefined) return fields;
+
+            const field = schema && schema.fields[name];
+            fields[name] = field && LIST_TYPES.includes(field.type) && typeof value === 'string'
+                ? value.split(',').map(item => item.trim()).filter(item => item !== '')
+                : value;
+            return fields;
+        }, {});
+    }
+
+    /**
+     * @ignore
+     * @param {number} line - line number of the row
+     * @param {Object[]} errors - { field, message, value } objects
+     * @returns {ValidationError} - error listing the invalid fields of the row
+     */
+    _toLineError(line, errors) {
+        const details = errors.map(({ field, message }) => `${field} ${message}`);
+        return new ValidationError(`invalid data on line ${line}: ${details.join(', ')}`, errors.map(({ field, message, value }) => ({ field, message, value })));
+    }
+
+    /**
+     * Renames write payload fields through the fieldMap config
+     *
+     * @ignore
+     * @param {Object} fields - field values keyed by code names
+     * @param {Object} cfg - merged config object
+     * @returns {Object} - field values keyed by Airtable column names
+     */
+    _toFields(fields, cfg) {
+        return cfg.fieldMap? cfg.fieldMap.toAirtable(fields) : fields;
+    }
+
+    /**
+     * Formats a { id, deleted } object returned by the driver like delete returns it
+     *
+     * @ignore
+     * @param {Object} record - deleted record returned by the driver
+     * @param {Object} cfg - merged config object
+     * @returns {Object} - empty record object or sdk record
+     */
+    _toDeletedRecord(record, cfg) {
+        const deleted = { id: record.id, fields: {}, createdTime: null };
+        return cfg.complex? cfg.driver.toRecord(cfg.tableName, { id: record.id }) : deleted;
+    }
+
+    /**
+     * Shared implementation of updateMany and replaceMany
+     *
+     * @ignore
+     * @param {string} method - Airtable sdk table method, update or replace
+     * @param {Object[]} records - Array of { id, fields } objects
+     * @param {Object} [config] - override config object
+     * @returns {Promise} Object with records and failed arrays
+     */
+    async _updateMany(method, records, config) {
+        if(!Array.isArray(records)) throw new Error("records must be an array");
+        const cfg = this._mergeConfig(config);
+        const fields = this._validate(records.map(record => record.fields), cfg, { partial: method === 'update' });
+        records = records.map(({ id }, i) => ({ id, fields: fields[i] }));
+
+        return this._batch(records, cfg, async batch => {
+            const updated = await cfg.driver[method](cfg.tableName, batch.map(({ id, fields }) => ({
+                id,
+                fields: this._toFields(fields, cfg)
+            })), { typecast: cfg.typecast });
+            this._recordWrites(method, batch.map(({ id, fields }) => ({ id, fields: Object.keys(this._toFields(fields, cfg)) })), cfg);
+            await this._invalidateCache(cfg);
+            return updated.map(record => this._toRecord(record, cfg));
+        });
+    }
+
+    /**
+     * Splits items into batches of Airtable's per request record limit and
+     * passes each one to the action. A rejected batch marks every item in it
+     * as failed without stopping the remaining batches.
+     *
+     * @ignore
+     * @param {Array} items - Data objects or row IDs to write
+     * @param {Object} cfg - merged config object
+     * @param {function} action - Receives a batch, resolves to the written records
+     * @returns {Promise} Object with records and failed arrays
+     */
+    async _batch(items, cfg, action) {
+        const batches = [];
+        for(let i = 0; i < items.length; i += MAX_RECORDS_PER_REQUEST) {
+            batches.push(items.slice(i, i + MAX_RECORDS_PER_REQUEST));
+        }
+
+        const results = await pMap(batches, async batch => {
+            try {
+                return { records: await action(batch) };
+            }
+            catch(error) {
+                return { error };
+            }
+        }, { concurrency: cfg.concurrency });
+
+        return results.reduce((res, { records, error }, i) => {
+            if(error) {
+                batches[i].forEach((data, j) => res.failed.push({
+                    index: i * MAX_RECORDS_PER_REQUEST + j,
+                    data,
+                    error
+                }));
+            }
+            else res.records.push(...records);
+            return res;
+        }, { records: [], failed: [] });
+    }
+
+    /**
+     * Throws if a where condition would match every row of the table,
+     * so a filter built from missing values can't wipe it
+     *
+     * @ignore
+     * @param {string|Object} where - filterByFormula string or filter object
+     */
+    _checkWhere(where) {
+        if(formula.compile(where).trim() === '') {
+            throw new Error('where condition is empty, use truncate or a TRUE() formula to write to every row');
+        }
+    }
+
+    /**
+     * Resolves a batch result to its records for the helpers that return
+     * a plain array, throwing a BatchError if any record failed
+     *
+     * @ignore
+     * @param {Object} result - Object with records and failed arrays
+     * @returns {Object[]} - written records
+     */
+    _unwrapBatch({ records, failed }) {
+        if(failed.length > 0) {
+            const total = records.length + failed.length;
+            throw new BatchError(`${failed.length} of ${total} records failed to write: ${failed[0].error.message}`, { records, failed });
+        }
+        return records;
+    }
+
+    /**
+     * Compiles a filter object passed in as the filterByFormula param into
+     * an Airtable formula string and renames columns through the fieldMap config
      *
      * @ignore
-     * @param {string} columnName - Airtable Column name being used in a filter
-     * @returns {string} - formatted column name
+     * @param {Object} [params] - Airtable api parameters
+     * @param {Object} cfg - merged config object
+     * @returns {Object} - Airtable api parameters
      */
-    _formatColumnFilter(columnName='') {
-        columnName = '' + columnName;
-        return columnName.split(' ').length > 1? `{${columnName}}` : columnName;
+    _formatParams(params, cfg) {
+        if(cfg.fieldMap) return cfg.fieldMap.toAirtableParams(params);
+        if(!params || params.filterByFormula === undefined || typeof params.filterByFormula === "string") return params;
+        return { ...params, filterByFormula: formula.compile(params.filterByFormula) };
     }
 }
 
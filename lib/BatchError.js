@@ -0,0 +1,28 @@
+/**
+ * Thrown by the bulk helpers when one or more of the 10 record batches sent
+ * to Airtable were rejected. Records from batches that went through are still
+ * written, so the error carries both sides of the result.
+ *
+ * @example
+ * try {
+ *  await inst.updateWhere('Status = "Open"', { Status: 'Closed' });
+ * }
+ * catch(e) {
+ *  if(e instanceof AirtablePlus.BatchError) console.log(e.records, e.failed);
+ * }
+ *
+ * @param {string} message - Error message
+ * @param {Object} result - Result of the batched call
+ * @param {Object[]} result.records - Records that were written successfully
+ * @param {Object[]} result.failed - Failures as { index, data, error } objects
+ */
+class BatchError extends Error {
+    constructor(message, { records = [], failed = [] } = {}) {
+        super(message);
+        this.name = 'BatchError';
+        this.records = records;
+        this.failed = failed;
+    }
+}
+
+module.exports = BatchError;
@@ -0,0 +1,142 @@
+const LRUStore = require('./LRUStore');
+
+/**
+ * Read-through cache for read, find, readPage and iterate calls. Pass one in the
+ * cache config option and results are kept for ttl milliseconds, keyed by base,
+ * table and params. Writes made through the instance, including the *Where helpers,
+ * invalidate every entry of the table written to. Changes made outside the instance,
+ * and computed fields of other tables that depend on the table, aren't seen until
+ * the entries expire or are invalidated.
+ *
+ * Entries are stored as JSON strings, so records returned from the cache can be
+ * changed freely and stores can be backed by anything that holds strings.
+ *
+ * @example
+ * const cache = new AirtablePlus.Cache({ ttl: 30000 });
+ * const inst = new AirtablePlus({ tableName: 'Users', cache });
+ *
+ * await inst.read(); // requested from Airtable
+ * await inst.read(); // served from the cache
+ * cache.stats(); // => { hits: 1, misses: 1 }
+ *
+ * @param {Object} [options] - Cache options
+ * @param {Object} [options.store] - Store keeping the entries, an LRUStore by default (see LRUStore)
+ * @param {number} [options.ttl=60000] - Time to live of each entry in milliseconds
+ */
+class Cache {
+    constructor({ store = new LRUStore(), ttl = 60 * 1000 } = {}) {
+        this.store = store;
+        this.ttl = ttl;
+        this.hits = 0;
+        this.misses = 0;
+        // invalidation counts keyed by scope, so reads can tell a write happened while they were fetching
+        this.generations = new Map();
+    }
+
+    /**
+     * Builds the key of a call. Params objects are keyed by their set values in key
+     * order, so read(), read({}) and read({ view: undefined }) share their entry.
+     *
+     * @param {string} baseID - Airtable base ID
+     * @param {string} tableName - Airtable table name
+     * @param {string} method - Name of the cached call
+     * @param {*} [params] - Params of the call
+     * @returns {string} Cache key
+     */
+    static key(baseID, tableName, method, params) {
+        return JSON.stringify([baseID || null, tableName, method, normalizeParams(params)]);
+    }
+
+    /**
+     * @param {string} key - Cache key
+     * @returns {Promise} Cached value, undefined if there is none or it expired
+     */
+    async get(key) {
+        const entry = await this.store.get(key);
+        const { value, expires } = entry? JSON.parse(entry) : {};
+
+        if(!entry || expires <= Date.now()) {
+            if(entry) await this.store.delete(key);
+            this.misses += 1;
+            return undefined;
+        }
+
+        this.hits += 1;
+        return value;
+    }
+
+    /**
+     * @param {string} key - Cache key
+     * @param {*} value - Value to cache, it must be serializable to JSON
+     * @returns {Promise} Resolves once the value is stored
+     */
+    async set(key, value) {
+        await this.store.set(key, JSON.stringify({ value, expires: Date.now() + this.ttl }), this.ttl);
+    }
+
+    /**
+     * Drops the entries of a table, of a base or every entry
+     *
+     * @example
+     * await cache.invalidate({ baseID: 'appXXX', tableName: 'Users' });
+     * await cache.invalidate(); // everything
+     *
+     * @param {Object} [scope] - Entries to drop, everything if not set
+     * @param {string} [scope.baseID] - Airtable base ID
+     * @param {string} [scope.tableName] - Airtable table name, every table of the base if not set
+     * @returns {Promise} Resolves once the entries are dropped
+     */
+    async invalidate({ baseID, tableName } = {}) {
+        const everything = baseID === undefined && tableName === undefined;
+        const scope = tableName === undefined? [baseID || null] : [baseID || null, tableName];
+        const id = JSON.stringify(everything? [] : scope);
+        this.generations.set(id, (this.generations.get(id) || 0) + 1);
+        if(everything) return this.store.clear();
+
+        const prefix = JSON.stringify(scope).slice(0, -1);
+        const keys = await this.store.keys();
+        await Promise.all(keys.filter(key => key.startsWith(`${prefix},`)).map(key => this.store.delete(key)));
+    }
+
+    /**
+     * Counts the invalidations that cover a table. Reads compare it before
+     * and after fetching and skip caching the result if it changed, as the
+     * result may predate a write.
+     *
+     * @param {Object} scope - Table to count invalidations of
+     * @param {string} [scope.baseID] - Airtable base ID
+     * @param {string} scope.tableName - Airtable table name
+     * @returns {number} Number of invalidations of the table, its base or the whole cache
+     */
+    generation({ baseID, tableName }) {
+        return [[], [baseID || null], [baseID || null, tableName]]
+            .reduce((sum, scope) => sum + (this.generations.get(JSON.stringify(scope)) || 0), 0);
+    }
+
+    /**
+     * @returns {Object} Number of hits and misses since the cache was created or reset
+     */
+    stats() {
+        return { hits: this.hits, misses: this.misses };
+    }
+
+    resetStats() {
+        this.hits = 0;
+        this.misses = 0;
+    }
+}
+
+/**
+ * @ignore
+ * @param {*} [params] - params of a call
+ * @returns {*} - params objects with their undefined values left out and their keys sorted, null if empty
+ */
+function normalizeParams(params) {
+    if(params === undefined || params === null) return null;
+    if(typeof params !== 'object' || Array.isArray(params)) return params;
+
+    const names = Object.keys(params).filter(name => params[name] !== undefined).sort();
+    return names.length > 0? names.reduce((res, name) => ({ ...res, [name]: params[name] }), {}) : null;
+}
+
+module.exports = Cache;
@@ -0,0 +1,95 @@
+const formula = require('./formula');
+
+/**
+ * Renames fields between the names used in code and the Airtable column names.
+ * Set through the fieldMap config option, it is applied to write payloads, fields
+ * selection, sort specs and formula column references on the way to Airtable,
+ * and to record fields on the way back. Fields that aren't mapped pass through unchanged.
+ *
+ * @example
+ * const map = new FieldMap({ firstName: 'First Name', email: 'Email Address' });
+ * map.toAirtable({ firstName: 'foo', age: 30 }); // => { 'First Name': 'foo', age: 30 }
+ * map.fromAirtable({ 'First Name': 'foo' }); // => { firstName: 'foo' }
+ *
+ * @param {Object} [map] - Object of code field names to Airtable column names
+ */
+class FieldMap {
+    constructor(map = {}) {
+        this.names = { ...map };
+        this.columns = Object.keys(map).reduce((res, name) => {
+            res[map[name]] = name;
+            return res;
+        }, {});
+    }
+
+    /**
+     * @param {string} name - Field name used in code
+     * @returns {string} Airtable column name
+     */
+    toColumn(name) {
+        return Object.prototype.hasOwnProperty.call(this.names, name)? this.names[name] : name;
+    }
+
+    /**
+     * @param {string} column - Airtable column name
+     * @returns {string} Field name used in code
+     */
+    toName(column) {
+        return Object.prototype.hasOwnProperty.call(this.columns, column)? this.columns[column] : column;
+    }
+
+    /**
+     * @param {Object} fields - Field values keyed by code names
+     * @returns {Object} Field values keyed by Airtable column names
+     */
+    toAirtable(fields) {
+        return rename(fields, name => this.toColumn(name));
+    }
+
+    /**
+     * @param {Object} fields - Field values keyed by Airtable column names
+     * @returns {Object} Field values keyed by code names
+     */
+    fromAirtable(fields) {
+        return rename(fields, column => this.toName(column));
+    }
+
+    /**
+     * Renames the fields, sort and filterByFormula Airtable api parameters.
+     * Filter objects are compiled to formulas along the way.
+     *
+     * @param {Object} [params] - Airtable api parameters using code field names
+     * @returns {Object} Airtable api parameters using Airtable column names
+     */
+    toAirtableParams(params) {
+        if(!params) return params;
+        const res = { ...params };
+        const toColumn = name => this.toColumn(name);
+
+        if(Array.isArray(res.fields)) res.fields = res.fields.map(toColumn);
+        if(Array.isArray(res.sort)) res.sort = res.sort.map(sort => ({ ...sort, field: toColumn(sort.field) }));
+        if(res.filterByFormula !== undefined) {
+            res.filterByFormula = typeof res.filterByFormula === 'string'
+                ? formula.renameFields(res.filterByFormula, toColumn)
+                : formula.compile(res.filterByFormula, toColumn);
+        }
+
+        return res;
+    }
+}
+
+/**
+ * @ignore
+ * @param {Object} fields - field values
+ * @param {function} fn - maps a key to its new name
+ * @returns {Object} - renamed field values
+ */
+function rename(fields, fn) {
+    if(!fields) return fields;
+    return Object.keys(fields).reduce((res, key) => {
+        res[fn(key)] = fields[key];
+        return res;
+    }, {});
+}
+
+module.exports = FieldMap;
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const { writeJSON } = require('./files');
+
+/**
+ * Records destructive calls so they can be undone with rollback. Pass one in the
+ * journal config option and deleteWhere, replaceWhere, updateWhere, truncate,
+ * overwriteTable and syncTable snapshot the records they are about to change before
+ * writing, then record every batch of writes as it is applied. Each call is kept as an
+ * entry of { operation, baseID, tableName, time, snapshot, writes }, snapshot being the
+ * prior field values keyed by record ID.
+ *
+ * Passing a file path keeps the journal in a JSON file that is written after every
+ * change, so a process that crashed midway can load it and roll back what was applied.
+ *
+ * @example
+ * const journal = new AirtablePlus.Journal({ file: './journal.json' });
+ * await inst.deleteWhere({ Status: 'Archived' }, { journal });
+ * await inst.rollback(journal);
+ *
+ * // after a crash
+ * await inst.rollback(new AirtablePlus.Journal({ file: './journal.json' }));
+ *
+ * @param {Object} [options] - Journal options
+ * @param {string} [options.file] - JSON file to load the journal from and save it to
+ */
+class Journal {
+    constructor({ file } = {}) {
+        this.file = file;
+        this.entries = file && fs.existsSync(file)? JSON.parse(fs.readFileSync(file, 'utf8')).entries : [];
+    }
+
+    /**
+     * Starts the entry of a destructive call
+     *
+     * @param {string} operation - Name of the method called
+     * @param {Object} table - Table written to
+     * @param {string} [table.baseID] - Airtable base ID
+     * @param {string} table.tableName - Airtable table name
+     * @returns {Object} Journal entry
+     */
+    begin(operation, { baseID, tableName }) {
+        const entry = { operation, baseID, tableName, time: new Date().toISOString(), snapshot: {}, writes: [] };
+        this.entries.push(entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Keeps the field values of records about to be changed. Records that were
+     * already snapshotted keep their first values.
+     *
+     * @param {Object} entry - Journal entry
+     * @param {Object[]} records - { id, fields } objects with Airtable column names
+     */
+    snapshot(entry, records) {
+        records.forEach(({ id, fields }) => {
+            if(!entry.snapshot[id]) entry.snapshot[id] = JSON.parse(JSON.stringify(fields || {}));
+        });
+        this.save();
+    }
+
+    /**
+     * Records writes that were applied
+     *
+     * @param {Object} entry - Journal entry
+     * @param {string} action - create, update, replace or delete
+     * @param {Object[]} writes - { id, fields } objects, fields being the column names written by updates
+     */
+    record(entry, action, writes) {
+        writes.forEach(({ id, fields }) => entry.writes.push(fields? { action, id, fields } : { action, id }));
+        this.save();
+    }
+
+    /**
+     * Writes the journal to its file, if it has one, replacing the file in one step
+     */
+    save() {
+        if(this.file) writeJSON(this.file, { entries: this.entries });
+    }
+}
+
+module.exports = Journal;
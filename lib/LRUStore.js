@@ -0,0 +1,62 @@
+/**
+ * In-memory store used by Cache by default. Once it holds max entries the
+ * least recently used one is dropped to make room for the next.
+ *
+ * Any object with the same get, set, delete, keys and clear methods can be
+ * used as a cache store instead, returning values or promises of them.
+ *
+ * @example
+ * const cache = new AirtablePlus.Cache({ store: new AirtablePlus.LRUStore({ max: 1000 }) });
+ *
+ * @param {Object} [options] - Store options
+ * @param {number} [options.max=500] - Max number of entries kept
+ */
+class LRUStore {
+    constructor({ max = 500 } = {}) {
+        this.max = max;
+        this.entries = new Map();
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @returns {*} Stored value, undefined if there is none
+     */
+    get(key) {
+        if(!this.entries.has(key)) return undefined;
+        const value = this.entries.get(key);
+        // re-inserting moves the entry to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @param {*} value - Value to store
+     */
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        if(this.entries.size > this.max) this.entries.delete(this.entries.keys().next().value);
+    }
+
+    /**
+     * @param {string} key - Entry key
+     */
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * @returns {string[]} Keys of every entry
+     */
+    keys() {
+        return [...this.entries.keys()];
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = LRUStore;
@@ -0,0 +1,329 @@
+const fs = require('fs');
+const Airtable = require('airtable');
+const { parse, compareValues } = require('./evaluator');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_RECORDS_PER_REQUEST = 10;
+
+/**
+ * In-memory driver that mimics the Airtable API, for running code built on
+ * AirtablePlus offline and deterministically. Records get Airtable shaped IDs
+ * and createdTime values, selects support pagination, sort, fields, maxRecords
+ * and filterByFormula (see evaluator for the supported formula subset), and
+ * errors are thrown as Airtable errors with the same status codes. The typecast
+ * write option is ignored, values are stored as they are passed in.
+ *
+ * Tables must be declared up front, like they would in a real base. Passing a file
+ * path keeps the tables in a JSON file that is loaded on start and written after every change,
+ * the tables passed in only seeding the ones the file doesn't have yet.
+ *
+ * @example
+ * const driver = new MemoryDriver({
+ *  tables: {
+ *      Users: [{ fields: { Name: 'foo' } }],
+ *      Orders: []
+ *  }
+ * });
+ * const inst = new AirtablePlus({ tableName: 'Users', driver });
+ *
+ * // persisted between runs
+ * const driver = new MemoryDriver({ file: './base.json' });
+ *
+ * @param {Object} [options] - Driver options
+ * @param {string} [options.baseID=appMemory] - Base ID reported by the driver
+ * @param {Object} [options.tables] - Initial records keyed by table name, as { id, fields, createdTime } or field objects
+ * @param {string} [options.file] - JSON file to load tables from and save them to
+ * @param {function} [options.now] - Returns the current date, used for createdTime
+ */
+class MemoryDriver {
+    constructor({ baseID = 'appMemory', tables = {}, file, now = () => new Date() } = {}) {
+        this.baseID = baseID;
+        this.file = file;
+        this.now = now;
+        this.tables = {};
+        this.ids = new Set();
+        this.lastID = 0;
+
+        // the file holds the latest state of its tables, seeds only add the tables it doesn't have
+        if(file && fs.existsSync(file)) tables = { ...tables, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+
+        // collect the IDs passed in first so generated ones never collide with them
+        const seeded = {};
+        Object.keys(tables).forEach(tableName => {
+            seeded[tableName] = tables[tableName].map(record => record.fields? record : { fields: record });
+            seeded[tableName].forEach(({ id }) => id && this.ids.add(id));
+        });
+        this.ids.forEach(id => {
+            const match = /^rec(\d{14})$/.exec(id);
+            if(match) this.lastID = Math.max(this.lastID, parseInt(match[1], 10));
+        });
+
+        Object.keys(seeded).forEach(tableName => {
+            this.tables[tableName] = seeded[tableName].map(({ id, fields, createdTime }) => ({
+                id: id || this._nextID(),
+                fields: clean(fields),
+                createdTime: createdTime || this.now().toISOString()
+            }));
+        });
+    }
+
+    /**
+     * @returns {string} Base ID
+     */
+    getId() {
+        return this.baseID;
+    }
+
+    /**
+     * Reads a single page of records
+     *
+     * @param {string} tableName - Table name
+     * @param {Object} [params] - Airtable api parameters, plus the offset of the page to read
+     * @returns {Promise} Object with records array and the next page offset
+     */
+    async select(tableName, params = {}) {
+        const { filterByFormula, sort, fields, maxRecords, pageSize = MAX_PAGE_SIZE, offset } = params;
+        let records = this._table(tableName);
+
+        if(filterByFormula) {
+            let matches;
+            try {
+                matches = parse(filterByFormula);
+                records = records.filter(record => matches(record));
+            }
+            catch(e) {
+                throw new Airtable.Error('INVALID_FILTER_BY_FORMULA', e.message, 422);
+            }
+        }
+
+        if(sort && sort.length > 0) {
+            records = records.slice().sort((a, b) => {
+                for(const { field, direction = 'asc' } of sort) {
+                    const order = compareValues(a.fields[field], b.fields[field]);
+                    if(order !== 0) return direction === 'desc'? -order : order;
+                }
+                return 0;
+            });
+        }
+
+        if(maxRecords) records = records.slice(0, maxRecords);
+
+        const start = offset? parseInt(offset, 10) : 0;
+        const end = start + Math.min(pageSize, MAX_PAGE_SIZE);
+        const page = records.slice(start, end).map(record => {
+            if(!fields || fields.length === 0) return copy(record);
+            return copy({ ...record, fields: pick(record.fields, fields) });
+        });
+
+        return {
+            records: page,
+            offset: end < records.length? String(end) : undefined
+        };
+    }
+
+    /**
+     * @param {string} tableName - Table name
+     * @param {string} rowID - Record ID
+     * @returns {Promise} Record object
+     */
+    async find(tableName, rowID) {
+        return copy(this._record(tableName, rowID));
+    }
+
+    /**
+     * @param {string} tableName - Table name
+     * @param {Object[]} records - Up to 10 field objects
+     * @returns {Promise} Array of created record objects
+     */
+    async create(tableName, records) {
+        const table = this._table(tableName);
+        this._checkBatch(records);
+
+        const created = records.map(fields => ({
+            id: this._nextID(),
+            fields: clean(fields),
+            createdTime: this.now().toISOString()
+        }));
+        table.push(...created);
+        this._save();
+
+        return created.map(copy);
+    }
+
+    /**
+     * @param {string} tableName - Table name
+     * @param {Object[]} records - Up to 10 { id, fields } objects, fields not passed in are retained
+     * @returns {Promise} Array of updated record objects
+     */
+    async update(tableName, records) {
+        return this._write(tableName, records, (record, fields) => ({ ...record.fields, ...fields }));
+    }
+
+    /**
+     * @param {string} tableName - Table name
+     * @param {Object[]} records - Up to 10 { id, fields } objects, fields not passed in are cleared
+     * @returns {Promise} Array of replaced record objects
+     */
+    async replace(tableName, records) {
+        return this._write(tableName, records, (record, fields) => fields);
+    }
+
+    /**
+     * @param {string} tableName - Table name
+     * @param {string[]} rowIDs - Up to 10 record IDs
+     * @returns {Promise} Array of { id, deleted } objects
+     */
+    async destroy(tableName, rowIDs) {
+        this._checkBatch(rowIDs);
+        rowIDs.forEach(id => this._record(tableName, id));
+
+        this.tables[tableName] = this._table(tableName).filter(record => !rowIDs.includes(record.id));
+        this._save();
+
+        return rowIDs.map(id => ({ id, deleted: true }));
+    }
+
+    /**
+     * Wraps a record object for complex mode. Only getId and get
+     * are supported as there is no sdk record behind it.
+     *
+     * @param {string} tableName - Table name
+     * @param {Object} record - Record object
+     * @returns {Object} Record object with getId and get methods attached
+     */
+    toRecord(tableName, record) {
+        return {
+            ...record,
+            fields: record.fields || {},
+            _rawJson: record,
+            getId() {
+                return this.id;
+            },
+            get(columnName) {
+                return this.fields[columnName];
+            }
+        };
+    }
+
+    /**
+     * Applies a batch of updates once every record in it is known to exist,
+     * so a failing batch doesn't write anything, like the Airtable API
+     *
+     * @ignore
+     * @param {string} tableName - Table name
+     * @param {Object[]} records - { id, fields } objects
+     * @param {function} merge - Returns the new fields for a stored record
+     * @returns {Object[]} - updated records
+     */
+    _write(tableName, records, merge) {
+        this._checkBatch(records);
+        const stored = records.map(({ id }) => this._record(tableName, id));
+
+        const updated = stored.map((record, i) => {
+            record.fields = clean(merge(record, records[i].fields));
+            return copy(record);
+        });
+        this._save();
+
+        return updated;
+    }
+
+    /**
+     * @ignore
+     * @param {string} tableName - Table name
+     * @returns {Object[]} - stored records
+     */
+    _table(tableName) {
+        if(!this.tables[tableName]) {
+            throw new Airtable.Error('TABLE_NOT_FOUND', `Could not find table ${tableName} in application ${this.baseID}`, 404);
+        }
+        return this.tables[tableName];
+    }
+
+    /**
+     * @ignore
+     * @param {string} tableName - Table name
+     * @param {string} rowID - Record ID
+     * @returns {Object} - stored record
+     */
+    _record(tableName, rowID) {
+        const record = this._table(tableName).find(({ id }) => id === rowID);
+        if(!record) throw new Airtable.Error('NOT_FOUND', 'Could not find what you are looking for', 404);
+        return record;
+    }
+
+    /**
+     * @ignore
+     * @param {Array} items - records or IDs in a single request
+     */
+    _checkBatch(items) {
+        if(items.length > MAX_RECORDS_PER_REQUEST) {
+            throw new Airtable.Error('INVALID_REQUEST_UNKNOWN', `Too many records, a request can only hold ${MAX_RECORDS_PER_REQUEST}`, 422);
+        }
+    }
+
+    /**
+     * Generates sequential record IDs shaped like Airtable's
+     *
+     * @ignore
+     * @returns {string} - record ID
+     */
+    _nextID() {
+        let id;
+        do {
+            this.lastID += 1;
+            id = `rec${String(this.lastID).padStart(14, '0')}`;
+        } while(this.ids.has(id));
+
+        this.ids.add(id);
+        return id;
+    }
+
+    /**
+     * @ignore
+     */
+    _save() {
+        if(this.file) fs.writeFileSync(this.file, JSON.stringify(this.tables, null, 2));
+    }
+}
+
+/**
+ * Drops empty values the way the Airtable API omits them from responses
+ *
+ * @ignore
+ * @param {Object} fields - field values
+ * @returns {Object} - copy without empty values
+ */
+function clean(fields = {}) {
+    return Object.keys(fields).reduce((res, key) => {
+        const value = fields[key];
+        const empty = value === null || value === undefined || value === '' || value === false
+            || (Array.isArray(value) && value.length === 0);
+        if(!empty) res[key] = copy(value);
+        return res;
+    }, {});
+}
+
+/**
+ * @ignore
+ * @param {Object} fields - field values
+ * @param {string[]} names - field names to keep
+ * @returns {Object} - selected fields
+ */
+function pick(fields, names) {
+    return names.reduce((res, name) => {
+        if(fields[name] !== undefined) res[name] = fields[name];
+        return res;
+    }, {});
+}
+
+/**
+ * @ignore
+ * @param {*} value - json value
+ * @returns {*} - deep copy
+ */
+function copy(value) {
+    return value === undefined? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,174 @@
+// one scheduler per base ID, shared by every AirtablePlus instance in the process
+const schedulers = new Map();
+
+const DEFAULTS = {
+    requestsPerSecond: 5,
+    maxRetries: 5,
+    retryDelay: 5000,
+    maxRetryDelay: 60000,
+    retryWrites: false
+};
+
+/**
+ * Queues and throttles requests made against a single Airtable base. Airtable
+ * allows 5 requests per second per base and answers with a 429 when that is
+ * exceeded, so every request is started no sooner than the configured
+ * interval after the previous one. Requests that fail with a 429 status are retried
+ * with exponential backoff and full jitter, and so are GET requests failing with a 5xx
+ * status. A write answered with a 5xx may still have been applied, so writes are only
+ * retried on 5xx errors when retryWrites is set.
+ *
+ * Schedulers are shared per base ID, use Scheduler.forBase instead of the constructor.
+ *
+ * @example
+ * const scheduler = Scheduler.forBase('appXXX', { requestsPerSecond: 3 });
+ * const res = await scheduler.schedule(() => doRequest(), {
+ *  onQueue: depth => console.log(`${depth} requests waiting`),
+ *  onRetry: ({ attempt, delay, error }) => console.log(`retry #${attempt} in ${delay}ms`, error)
+ * }, { method: 'GET' });
+ *
+ * @param {Object} [options] - Rate limit and retry policy
+ * @param {number} [options.requestsPerSecond=5] - Max requests started per second
+ * @param {number} [options.maxRetries=5] - Retries before a 429 or 5xx error is thrown
+ * @param {number} [options.retryDelay=5000] - Backoff base in milliseconds
+ * @param {number} [options.maxRetryDelay=60000] - Backoff cap in milliseconds
+ * @param {boolean} [options.retryWrites=false] - Retry writes failing with a 5xx error too, at the risk of applying them twice
+ */
+class Scheduler {
+    constructor(options) {
+        this.queue = [];
+        this.lastStart = 0;
+        this.timer = null;
+        Object.assign(this, DEFAULTS);
+        this.configure(options);
+    }
+
+    /**
+     * Returns the scheduler shared by every caller targeting the base,
+     * creating it on first use. Passing options reconfigures the shared scheduler.
+     *
+     * @param {string} baseID - Airtable base ID
+     * @param {Object} [options] - Rate limit and retry policy, see constructor
+     * @returns {Scheduler} Shared scheduler for the base
+     */
+    static forBase(baseID, options) {
+        let scheduler = schedulers.get(baseID);
+        if(!scheduler) {
+            scheduler = new Scheduler(options);
+            schedulers.set(baseID, scheduler);
+        }
+        else if(options) scheduler.configure(options);
+
+        return scheduler;
+    }
+
+    /**
+     * Updates the rate limit and retry policy. Unset options keep their current values.
+     *
+     * @param {Object} [options] - Rate limit and retry policy, see constructor
+     */
+    configure(options = {}) {
+        Object.keys(DEFAULTS).forEach(key => {
+            if(options[key] !== undefined) this[key] = options[key];
+        });
+    }
+
+    /**
+     * Adds a task to the queue. The task is called once it is allowed to
+     * start and again for every retry, so it must start a fresh request each time.
+     *
+     * @param {function} task - Function returning a promise for the request
+     * @param {Object} [hooks] - Optional callbacks for this task
+     * @param {function} [hooks.onQueue] - Called with the queue depth when the task is queued and started
+     * @param {function} [hooks.onRetry] - Called with { attempt, delay, error } before each retry
+     * @param {Object} [request] - Request made by the task
+     * @param {string} [request.method] - HTTP method, 5xx errors are only retried for GET unless retryWrites is set
+     * @returns {Promise} Result of the task
+     */
+    schedule(task, hooks = {}, { method } = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, hooks, method, attempt: 0, resolve, reject });
+            if(hooks.onQueue) hooks.onQueue(this.queue.length);
+            this._drain();
+        });
+    }
+
+    /**
+     * Starts the next queued task if the rate limit allows it, otherwise
+     * waits until it does
+     *
+     * @ignore
+     */
+    _drain() {
+        if(this.timer || this.queue.length === 0) return;
+
+        const wait = this.lastStart + 1000 / this.requestsPerSecond - Date.now();
+        if(wait > 0) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this._drain();
+            }, wait);
+            return;
+        }
+
+        const job = this.queue.shift();
+        this.lastStart = Date.now();
+        if(job.hooks.onQueue) job.hooks.onQueue(this.queue.length);
+
+        this._run(job);
+        this._drain();
+    }
+
+    /**
+     * Runs a task, putting it back at the front of the queue after
+     * a backoff delay when it fails with a retryable error
+     *
+     * @ignore
+     * @param {Object} job - queued task
+     */
+    async _run(job) {
+        try {
+            job.resolve(await job.task());
+        }
+        catch(error) {
+            const retryable = Scheduler.isRetryable(error, job.method) || (this.retryWrites && error && error.statusCode >= 500);
+            if(!retryable || job.attempt >= this.maxRetries) return job.reject(error);
+
+            const delay = this._backoff(job.attempt);
+            job.attempt += 1;
+            if(job.hooks.onRetry) job.hooks.onRetry({ attempt: job.attempt, delay, error });
+
+            setTimeout(() => {
+                this.queue.unshift(job);
+                this._drain();
+            }, delay);
+        }
+    }
+
+    /**
+     * Exponential backoff with full jitter
+     *
+     * @ignore
+     * @param {number} attempt - number of retries so far
+     * @returns {number} - delay in milliseconds
+     */
+    _backoff(attempt) {
+        return Math.random() * Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempt));
+    }
+
+    /**
+     * Determines if a failed request should be retried, which is the case for rate
+     * limit (429) errors, as Airtable rejects those without applying them, and for
+     * server (5xx) errors of GET requests, which are safe to send again
+     *
+     * @param {Object} error - Error thrown by the request
+     * @param {string} [method] - HTTP method of the request
+     * @returns {boolean} - true if the request should be retried
+     */
+    static isRetryable(error, method) {
+        const status = error && error.statusCode;
+        return status === 429 || (status >= 500 && String(method).toUpperCase() === 'GET');
+    }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,167 @@
+const RECORD_ID = /^rec[A-Za-z0-9]{14}$/;
+
+// each coercer returns the value Airtable expects for the type or throws with the reason it can't
+const TYPES = {
+    text: value => {
+        if(typeof value === 'string') return value;
+        if(typeof value === 'number' || typeof value === 'boolean') return String(value);
+        throw new Error('should be text');
+    },
+    number: value => {
+        const number = typeof value === 'string' && value.trim() !== ''? Number(value) : value;
+        if(typeof number !== 'number' || !isFinite(number)) throw new Error('should be a number');
+        return number;
+    },
+    checkbox: value => {
+        if(typeof value === 'boolean') return value;
+        if(value === 1 || value === 0) return value === 1;
+        const text = String(value).trim().toLowerCase();
+        if(['true', 'yes', '1'].includes(text)) return true;
+        if(['false', 'no', '0', ''].includes(text)) return false;
+        throw new Error('should be a checkbox boolean');
+    },
+    date: value => toDate(value).toISOString().slice(0, 10),
+    dateTime: value => toDate(value).toISOString(),
+    singleSelect: (value, { options }) => {
+        const option = TYPES.text(value);
+        if(options && !options.includes(option)) throw new Error(`should be one of ${options.join(', ')}`);
+        return option;
+    },
+    multipleSelects: (value, field) => [].concat(value).map(option => TYPES.singleSelect(option, field)),
+    linkedRecord: value => [].concat(value).map(id => {
+        if(typeof id !== 'string' || !RECORD_ID.test(id)) throw new Error('should be record IDs');
+        return id;
+    }),
+    attachment: value => [].concat(value).map(attachment => {
+        if(typeof attachment === 'string') return { url: attachment };
+        if(attachment && (attachment.url || attachment.id)) return attachment;
+        throw new Error('should be attachment urls or { url, filename } objects');
+    })
+};
+
+// computed by Airtable, writes to them are rejected
+const READ_ONLY_TYPES = ['formula', 'rollup', 'lookup', 'count', 'autoNumber', 'createdTime', 'lastModifiedTime', 'createdBy', 'lastModifiedBy', 'button'];
+READ_ONLY_TYPES.forEach(type => {
+    TYPES[type] = () => {
+        throw new Error('is read-only');
+    };
+});
+
+/**
+ * Declares the fields of a table so writes can be validated and coerced before
+ * they are sent to Airtable. Register one per table with defineSchema or the
+ * schemas config option. Field names are the ones passed to the write methods,
+ * so when a fieldMap is set they are the mapped names.
+ *
+ * Supported types are text, number, checkbox, date, dateTime, singleSelect,
+ * multipleSelects, linkedRecord and attachment. Values are coerced where it is
+ * safe to, for example '42' to 42 for numbers, a Date to an ISO date string
+ * for dates and a single record ID to an array for linked records.
+ *
+ * Computed fields can be declared with the read-only types formula, rollup, lookup,
+ * count, autoNumber, createdTime, lastModifiedTime, createdBy, lastModifiedBy and
+ * button. Writes to them are rejected and table copies leave them out.
+ *
+ * @example
+ * const schema = new Schema({
+ *  Name: { type: 'text', required: true },
+ *  Age: 'number',
+ *  Status: { type: 'singleSelect', options: ['Active', 'Inactive'], default: 'Active' },
+ *  Tags: { type: 'multipleSelects', options: ['a', 'b'] },
+ *  Projects: 'linkedRecord',
+ *  Photos: 'attachment',
+ *  Total: 'rollup'
+ * });
+ *
+ * @param {Object} fields - Field definitions keyed by field name, a type string or { type, required, default, options }
+ * @param {Object} [options] - Schema options
+ * @param {boolean} [options.strict=false] - Reject fields that aren't declared in the schema
+ */
+class Schema {
+    constructor(fields, { strict = false } = {}) {
+        if(!fields || typeof fields !== 'object') throw new Error('schema fields must be an object');
+
+        this.strict = strict;
+        this.fields = Object.keys(fields).reduce((res, name) => {
+            const field = typeof fields[name] === 'string'? { type: fields[name] } : { ...fields[name] };
+            if(!TYPES[field.type]) throw new Error(`unknown type "${field.type}" for field ${name}`);
+
+            res[name] = field;
+            return res;
+        }, {});
+    }
+
+    /**
+     * Validates and coerces the fields of a single record. Required fields
+     * and defaults are only applied to full writes, not partial updates.
+     *
+     * @param {Object} data - Field values keyed by field name
+     * @param {Object} [options] - Validation options
+     * @param {boolean} [options.partial=false] - Only check the fields present, for updates
+     * @returns {Object} Object with the coerced fields and an errors array of { field, message, value }
+     */
+    validate(data, { partial = false } = {}) {
+        const fields = { ...data };
+        const errors = [];
+
+        Object.keys(this.fields).forEach(name => {
+            const field = this.fields[name];
+            const present = Object.prototype.hasOwnProperty.call(fields, name);
+
+            if(!present && !partial && field.default !== undefined) {
+                fields[name] = typeof field.default === 'function'? field.default() : field.default;
+            }
+            if(!present && partial) return;
+
+            const value = fields[name];
+            if(isBlank(value)) {
+                if(field.required) errors.push({ field: name, message: 'is required', value });
+                return;
+            }
+
+            try {
+                fields[name] = TYPES[field.type](value, field);
+            }
+            catch(e) {
+                errors.push({ field: name, message: e.message, value });
+            }
+        });
+
+        if(this.strict) {
+            Object.keys(fields)
+                .filter(name => !this.fields[name])
+                .forEach(name => errors.push({ field: name, message: 'is not in the schema', value: fields[name] }));
+        }
+
+        return { fields, errors };
+    }
+
+    /**
+     * @returns {string[]} Names of the fields declared with a read-only type
+     */
+    readOnlyFields() {
+        return Object.keys(this.fields).filter(name => READ_ONLY_TYPES.includes(this.fields[name].type));
+    }
+}
+
+/**
+ * @ignore
+ * @param {*} value - field value
+ * @returns {boolean} - true if the value clears the field
+ */
+function isBlank(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * @ignore
+ * @param {*} value - date, timestamp or date string
+ * @returns {Date} - parsed date
+ */
+function toDate(value) {
+    const date = value instanceof Date? value : new Date(value);
+    if(typeof value === 'boolean' || value === null || isNaN(date.getTime())) throw new Error('should be a date');
+    return date;
+}
+
+module.exports = Schema;
@@ -0,0 +1,28 @@
+/**
+ * Thrown when data written to a table with a registered schema doesn't match it.
+ * Validation happens before anything is sent to Airtable, so nothing has been
+ * written when this is thrown. Every invalid field of every record is listed.
+ *
+ * @example
+ * try {
+ *  await inst.createMany(rows);
+ * }
+ * catch(e) {
+ *  if(e instanceof AirtablePlus.ValidationError) {
+ *      e.errors.forEach(({ index, field, message }) => console.log(`row ${index}: ${field} ${message}`));
+ *  }
+ * }
+ *
+ * @param {string} message - Error message
+ * @param {Object[]} errors - Invalid fields as { index, field, message, value } objects,
+ * index being the position of the record in the written array
+ */
+class ValidationError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+module.exports = ValidationError;
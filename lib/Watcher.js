@@ -0,0 +1,200 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const formula = require('./formula');
+const { compareFields } = require('./diff');
+const { writeJSON } = require('./files');
+
+/**
+ * Polls a table for changes, returned by watch. Emits created, updated and deleted
+ * events of { type, id, before, after, changes }, before and after being the field
+ * values of the record on either side of the change and changes the { before, after }
+ * values of each changed field. Every event is emitted as change too, and errors as error.
+ * The watcher is also an async iterable of the events, breaking out of the loop stops it.
+ *
+ * With a modifiedField, each poll only reads the records modified since the previous one,
+ * plus the IDs of every record to find deleted ones. Without it, the whole table is read
+ * and compared to the previous poll. The first poll only records the state of the table,
+ * unless emitInitial is set.
+ *
+ * The cursor holds the time of the last modification seen and the values of every record.
+ * It can be kept in a file, or passed back in, so a restarted process picks up where it stopped.
+ *
+ * @example
+ * const watcher = inst.watch({ table: 'Orders', modifiedField: 'Last Modified', file: './orders.cursor.json' });
+ * watcher.on('updated', ({ id, changes }) => console.log(id, changes.Status));
+ * watcher.on('error', console.error);
+ *
+ * for await (const event of inst.watch({ table: 'Orders', interval: 5000 })) {
+ *  if(event.type === 'deleted') break;
+ * }
+ *
+ * @param {Object} options - Watcher options
+ * @param {function} options.read - Reads records with the given Airtable api parameters
+ * @param {Object} [options.params] - Airtable api parameters of every read, like view and fields
+ * @param {number} [options.interval=60000] - Milliseconds between polls
+ * @param {string} [options.modifiedField] - Last modified time field used to only read changed records
+ * @param {Object} [options.cursor] - Cursor of a previous watcher to resume from
+ * @param {string} [options.file] - JSON file to load the cursor from and save it to after every poll
+ * @param {boolean} [options.emitInitial=false] - Emit every record as created on the first poll
+ */
+class Watcher extends EventEmitter {
+    constructor({ read, params = {}, interval = 60 * 1000, modifiedField, cursor, file, emitInitial = false }) {
+        super();
+        this.read = read;
+        this.params = params;
+        this.interval = interval;
+        this.modifiedField = modifiedField;
+        this.file = file;
+        this.emitInitial = emitInitial;
+        this.cursor = cursor || (file && fs.existsSync(file)? JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+        this.stopped = false;
+        this.iterators = [];
+
+        // first poll on the next tick, once listeners are attached
+        this.timer = setTimeout(() => this._tick(), 0);
+    }
+
+    /**
+     * Reads the changes since the previous poll, emits their events and
+     * moves the cursor. Polls run on their own, this is for running one right away.
+     *
+     * @returns {Promise} Array of the emitted events
+     */
+    async poll() {
+        const { since, snapshot = {} } = this.cursor || {};
+        const first = !this.cursor;
+
+        let records;
+        let ids;
+        if(this.modifiedField && since) {
+            records = await this.read({
+                ...this.params,
+                filterByFormula: formula.compile({ [this.modifiedField]: { gte: new Date(since) } })
+            });
+            const current = await this.read({ ...this.params, fields: [this.modifiedField] });
+            ids = new Set(current.map(({ id }) => id));
+        }
+        else {
+            records = await this.read(this.params);
+            ids = new Set(records.map(({ id }) => id));
+        }
+
+        const events = [];
+        const next = { ...snapshot };
+        records.forEach(({ id, fields }) => {
+            const before = snapshot[id];
+            const changes = compareFields(before, fields);
+            next[id] = fields;
+            if(!before) events.push({ type: 'created', id, before: null, after: fields, changes });
+            else if(Object.keys(changes).length > 0) events.push({ type: 'updated', id, before, after: fields, changes });
+        });
+        Object.keys(snapshot).filter(id => !ids.has(id)).forEach(id => {
+            delete next[id];
+            events.push({ type: 'deleted', id, before: snapshot[id], after: null, changes: compareFields(snapshot[id], {}) });
+        });
+
+        this.cursor = { since: this._lastModified(records, since), snapshot: next };
+        this._save();
+
+        if(first && !this.emitInitial) return [];
+        events.forEach(event => {
+            this.emit(event.type, event);
+            this.emit('change', event);
+            this.iterators.forEach(iterator => iterator.push(event));
+        });
+        return events;
+    }
+
+    /**
+     * Stops polling and ends the async iterations
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.iterators.forEach(iterator => iterator.end());
+        this.iterators = [];
+    }
+
+    [Symbol.asyncIterator]() {
+        const events = [];
+        const waiting = [];
+        let done = false;
+        let failure;
+
+        const iterator = {
+            push: event => (waiting.length > 0? waiting.shift().resolve({ value: event, done: false }) : events.push(event)),
+            end: () => {
+                done = true;
+                waiting.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+            },
+            fail: error => {
+                failure = error;
+                waiting.splice(0).forEach(({ reject }) => reject(error));
+            }
+        };
+        this.iterators.push(iterator);
+
+        return {
+            next: () => {
+                if(events.length > 0) return Promise.resolve({ value: events.shift(), done: false });
+                if(failure) return Promise.reject(failure);
+                if(done) return Promise.resolve({ value: undefined, done: true });
+                return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+            },
+            return: async () => {
+                this.stop();
+                return { value: undefined, done: true };
+            }
+        };
+    }
+
+    /**
+     * Polls and schedules the next poll. Errors end async iterations,
+     * error listeners get them and polling goes on.
+     *
+     * @ignore
+     */
+    async _tick() {
+        try {
+            await this.poll();
+        }
+        catch(e) {
+            const iterating = this.iterators.length > 0;
+            if(iterating) {
+                this.iterators.forEach(iterator => iterator.fail(e));
+                this.stop();
+            }
+            if(this.listenerCount('error') > 0) this.emit('error', e);
+            // like any emitter, an error nobody listens to is thrown, on its own tick so the next poll is still scheduled
+            else if(!iterating) process.nextTick(() => { throw e; });
+        }
+        finally {
+            if(!this.stopped) this.timer = setTimeout(() => this._tick(), this.interval);
+        }
+    }
+
+    /**
+     * @ignore
+     * @param {Object[]} records - records read by the poll
+     * @param {string} [since] - last modification seen before the poll
+     * @returns {string} - latest modification seen, as an ISO date
+     */
+    _lastModified(records, since) {
+        if(!this.modifiedField) return since;
+        return records.reduce((latest, { fields }) => {
+            const time = Date.parse(fields[this.modifiedField]);
+            return !isNaN(time) && (!latest || time > Date.parse(latest))? new Date(time).toISOString() : latest;
+        }, since);
+    }
+
+    /**
+     * Writes the cursor to its file, if there is one
+     *
+     * @ignore
+     */
+    _save() {
+        if(this.file) writeJSON(this.file, this.cursor);
+    }
+}
+
+module.exports = Watcher;
@@ -0,0 +1,106 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Formats an Airtable field value as the text of a CSV cell. Multiple values, like
+ * linked record IDs and multiple selects, are joined with a comma, attachments are
+ * reduced to their url and collaborators to their email.
+ *
+ * @ignore
+ * @param {*} value - field value
+ * @returns {string} - cell text
+ */
+function formatValue(value) {
+    if(value === null || value === undefined) return '';
+    if(Array.isArray(value)) return value.map(formatValue).join(', ');
+    if(typeof value === 'object') {
+        if(value.url) return value.url;
+        if(value.email) return value.email;
+        if(value.name) return value.name;
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Formats the cells of a row as a CSV line, quoting the cells that contain
+ * commas, quotes, line breaks or surrounding whitespace
+ *
+ * @ignore
+ * @param {string[]} cells - cell text
+ * @returns {string} - CSV line ending with a line break
+ */
+function formatRow(cells) {
+    return `${cells.map(cell => {
+        const text = String(cell);
+        return /[",\r\n]|^\s|\s$/.test(text)? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')}\n`;
+}
+
+/**
+ * Parses CSV text as it arrives. Quoted cells may contain commas, doubled quotes
+ * and line breaks, blank lines are skipped and both \n and \r\n line endings are read.
+ *
+ * @ignore
+ * @param {AsyncIterable} chunks - strings or buffers, like a readable stream
+ * @returns {AsyncIterable} - { line, values } for each row, or { line, error } for a malformed one,
+ * line being the line the row starts on
+ */
+async function* parse(chunks) {
+    let values = [];
+    let cell = '';
+    let quoted = false;
+    let closing = false;
+    let line = 1;
+    let start = 1;
+    let first = true;
+
+    const decoder = new StringDecoder('utf8');
+    for await (const chunk of chunks) {
+        let text = decoder.write(chunk);
+        if(first) text = text.replace(/^\uFEFF/, '');
+        first = false;
+
+        for(const char of text) {
+            if(quoted && closing && char === '"') {
+                cell += char;
+                closing = false;
+                continue;
+            }
+            if(quoted && closing) {
+                quoted = false;
+                closing = false;
+            }
+
+            if(quoted) {
+                if(char === '"') closing = true;
+                else cell += char;
+                if(char === '\n') line += 1;
+            }
+            else if(char === '"' && cell === '') quoted = true;
+            else if(char === ',') {
+                values.push(cell);
+                cell = '';
+            }
+            else if(char === '\n') {
+                if(values.length > 0 || cell !== '') {
+                    values.push(cell);
+                    yield { line: start, values };
+                }
+                values = [];
+                cell = '';
+                line += 1;
+                start = line;
+            }
+            else if(char !== '\r') cell += char;
+        }
+    }
+
+    if(quoted && !closing) yield { line: start, error: new Error('unterminated quoted cell') };
+    else if(values.length > 0 || cell !== '') yield { line: start, values: values.concat(cell) };
+}
+
+module.exports = {
+    formatValue,
+    formatRow,
+    parse
+};
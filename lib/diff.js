@@ -0,0 +1,99 @@
+const csv = require('./csv');
+
+/**
+ * Builds a lookup key out of the values of one or more key fields, so records
+ * from different sources can be matched. Values are compared as text, the way
+ * Airtable formulas see them.
+ *
+ * @ignore
+ * @param {Object} fields - field values
+ * @param {string[]} keys - key field names
+ * @returns {string} - lookup key
+ */
+function recordKey(fields, keys) {
+    return JSON.stringify(keys.map(key => {
+        const value = fields[key];
+        if(value === null || value === undefined) return '';
+        return Array.isArray(value)? value.join(', ') : String(value);
+    }));
+}
+
+/**
+ * Returns the fields whose values differ from the existing ones. Only
+ * the fields passed in are compared, missing and empty values are the same
+ * since Airtable leaves empty fields out of its responses.
+ *
+ * @ignore
+ * @param {Object} existing - current field values
+ * @param {Object} fields - new field values
+ * @returns {Object} - changed fields with their new values
+ */
+function diffFields(existing = {}, fields = {}) {
+    return Object.keys(fields).reduce((changes, name) => {
+        if(!isSameValue(existing[name], fields[name])) changes[name] = fields[name];
+        return changes;
+    }, {});
+}
+
+/**
+ * Replaces text values that read the same as the existing ones, the way exportTable
+ * writes them to CSV, by the existing values. Airtable typecasts text like '5',
+ * 'true' or 'a, b' to the field type, so those values would be stored unchanged.
+ *
+ * @ignore
+ * @param {Object} existing - current field values
+ * @param {Object} fields - new field values
+ * @returns {Object} - new field values, holding the existing value where the text matches
+ */
+function matchText(existing = {}, fields = {}) {
+    return Object.keys(fields).reduce((res, name) => {
+        const same = typeof fields[name] === 'string' && existing[name] !== undefined && csv.formatValue(existing[name]) === fields[name];
+        res[name] = same? existing[name] : fields[name];
+        return res;
+    }, {});
+}
+
+/**
+ * Compares every field of two versions of a record, including the ones
+ * missing from either side since Airtable leaves cleared fields out.
+ *
+ * @ignore
+ * @param {Object} before - previous field values
+ * @param {Object} after - current field values
+ * @returns {Object} - { before, after } values of the changed fields keyed by field name
+ */
+function compareFields(before = {}, after = {}) {
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])].reduce((changes, name) => {
+        if(!isSameValue(before[name], after[name])) changes[name] = { before: before[name], after: after[name] };
+        return changes;
+    }, {});
+}
+
+/**
+ * @ignore
+ * @param {*} a - field value
+ * @param {*} b - field value
+ * @returns {boolean} - true if both values would be stored the same
+ */
+function isSameValue(a, b) {
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * @ignore
+ * @param {*} value - field value
+ * @returns {*} - null for empty values, the value otherwise
+ */
+function normalize(value) {
+    const empty = value === undefined || value === null || value === '' || value === false
+        || (Array.isArray(value) && value.length === 0);
+    return empty? null : value;
+}
+
+module.exports = {
+    recordKey,
+    diffFields,
+    matchText,
+    compareFields,
+    isSameValue
+};
@@ -0,0 +1,312 @@
+/**
+ * Evaluates a subset of the Airtable formula language against a record, used by
+ * the MemoryDriver to apply filterByFormula. Field references can be wrapped in
+ * curly braces or left bare when they are a single word.
+ *
+ * Supported operators: = != <> < > <= >= & + - * / and parentheses.
+ *
+ * Supported functions: AND, OR, NOT, XOR, IF, TRUE, FALSE, BLANK, RECORD_ID,
+ * CREATED_TIME, FIND, SEARCH, LEN, LOWER, UPPER, TRIM, LEFT, RIGHT, MID,
+ * CONCATENATE, ARRAYJOIN, VALUE, ABS, DATETIME_PARSE, IS_SAME, IS_BEFORE,
+ * IS_AFTER, NOW and TODAY.
+ *
+ * @example
+ * const matches = parse('AND({Status} = "Active", Age > 30)');
+ * matches({ id: 'rec1', fields: { Status: 'Active', Age: 31 } }); // => true
+ *
+ * @module evaluator
+ */
+
+// number of ISO string characters that are significant for each IS_SAME unit
+const DATE_UNITS = {
+    year: 4,
+    month: 7,
+    day: 10,
+    hour: 13,
+    minute: 16,
+    second: 19,
+    millisecond: 24
+};
+
+const FUNCTIONS = {
+    AND: (...args) => args.every(truthy),
+    OR: (...args) => args.some(truthy),
+    NOT: value => !truthy(value),
+    XOR: (...args) => args.filter(truthy).length % 2 === 1,
+    IF: (condition, then, otherwise = null) => truthy(condition)? then : otherwise,
+    TRUE: () => true,
+    FALSE: () => false,
+    BLANK: () => null,
+    FIND: (needle, haystack, start = 0) => toText(haystack).indexOf(toText(needle), Math.max(toNumber(start) - 1, 0)) + 1,
+    SEARCH: (needle, haystack, start = 0) => FUNCTIONS.FIND(needle, haystack, start) || null,
+    LEN: value => toText(value).length,
+    LOWER: value => toText(value).toLowerCase(),
+    UPPER: value => toText(value).toUpperCase(),
+    TRIM: value => toText(value).trim(),
+    LEFT: (value, count) => toText(value).slice(0, toNumber(count)),
+    RIGHT: (value, count) => toNumber(count) > 0? toText(value).slice(-toNumber(count)) : '',
+    MID: (value, start, count) => toText(value).substr(toNumber(start) - 1, toNumber(count)),
+    CONCATENATE: (...args) => args.map(toText).join(''),
+    ARRAYJOIN: (values, separator = ', ') => [].concat(values === null? [] : values).map(toText).join(toText(separator)),
+    VALUE: value => parseFloat(toText(value).replace(/[^0-9.-]/g, '')),
+    ABS: value => Math.abs(toNumber(value)),
+    DATETIME_PARSE: value => toDate(value),
+    IS_SAME: (a, b, unit) => {
+        const length = DATE_UNITS[unit] || DATE_UNITS.millisecond;
+        a = toDate(a);
+        b = toDate(b);
+        return !!a && !!b && a.toISOString().slice(0, length) === b.toISOString().slice(0, length);
+    },
+    IS_BEFORE: (a, b) => !!toDate(a) && !!toDate(b) && toDate(a) < toDate(b),
+    IS_AFTER: (a, b) => !!toDate(a) && !!toDate(b) && toDate(a) > toDate(b),
+    NOW: () => new Date(),
+    TODAY: () => new Date(new Date().toISOString().slice(0, 10))
+};
+
+// functions that read from the record rather than their arguments
+const RECORD_FUNCTIONS = {
+    RECORD_ID: record => record.id,
+    CREATED_TIME: record => toDate(record.createdTime)
+};
+
+const COMPARISONS = {
+    '=': order => order === 0,
+    '!=': order => order !== 0,
+    '<>': order => order !== 0,
+    '<': order => order < 0,
+    '>': order => order > 0,
+    '<=': order => order <= 0,
+    '>=': order => order >= 0
+};
+
+const ARITHMETIC = {
+    '+': (a, b) => toNumber(a) + toNumber(b),
+    '-': (a, b) => toNumber(a) - toNumber(b),
+    '*': (a, b) => toNumber(a) * toNumber(b),
+    '/': (a, b) => toNumber(a) / toNumber(b)
+};
+
+const TOKEN = /\s*(?:("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|(\d+(?:\.\d+)?)|(\{(?:\\.|[^}\\])*\})|([A-Za-z_][A-Za-z0-9_]*)|(!=|<>|<=|>=|[=<>&+\-*/(),]))/y;
+
+/**
+ * Parses a formula into a function that evaluates it against a record
+ *
+ * @param {string} formula - Airtable formula
+ * @returns {function} Function taking an { id, fields, createdTime } record and returning the formula result
+ */
+function parse(formula) {
+    const tokens = tokenize(formula);
+    let pos = 0;
+
+    const peek = () => tokens[pos] || {};
+    const next = () => {
+        pos += 1;
+        return tokens[pos - 1];
+    };
+    const expect = value => {
+        const token = next();
+        if(!token || token.value !== value) throw new Error(`expected "${value}" in formula: ${formula}`);
+    };
+
+    // each level of the grammar handles one precedence level of binary operators
+    const binary = (operators, operand, apply) => () => {
+        let left = operand();
+        while(operators[peek().value] && peek().type === 'operator') {
+            const op = next().value;
+            const lhs = left;
+            const rhs = operand();
+            left = record => apply(op, lhs(record), rhs(record));
+        }
+        return left;
+    };
+
+    const primary = () => {
+        const token = next();
+        if(!token) throw new Error(`unexpected end of formula: ${formula}`);
+
+        if(token.type === 'string' || token.type === 'number') return () => token.value;
+        if(token.type === 'field') return record => fieldValue(record, token.value);
+        if(token.value === '(') {
+            const inner = expression();
+            expect(')');
+            return inner;
+        }
+        if(token.value === '-') {
+            const operand = primary();
+            return record => -toNumber(operand(record));
+        }
+        if(token.type === 'name' && peek().value === '(') return call(token.value.toUpperCase());
+        if(token.type === 'name') return record => fieldValue(record, token.value);
+
+        throw new Error(`unexpected "${token.value}" in formula: ${formula}`);
+    };
+
+    const call = name => {
+        expect('(');
+        const args = [];
+        while(peek().value !== ')') {
+            args.push(expression());
+            if(peek().value === ',') next();
+            else if(peek().value !== ')') throw new Error(`expected "," or ")" in formula: ${formula}`);
+        }
+        expect(')');
+
+        if(RECORD_FUNCTIONS[name]) return record => RECORD_FUNCTIONS[name](record);
+        if(!FUNCTIONS[name]) throw new Error(`unknown function ${name} in formula: ${formula}`);
+        return record => FUNCTIONS[name](...args.map(arg => arg(record)));
+    };
+
+    const term = binary({ '*': true, '/': true }, primary, (op, a, b) => ARITHMETIC[op](a, b));
+    const additive = binary({ '+': true, '-': true }, term, (op, a, b) => ARITHMETIC[op](a, b));
+    const concat = binary({ '&': true }, additive, (op, a, b) => toText(a) + toText(b));
+    const expression = binary(COMPARISONS, concat, (op, a, b) => COMPARISONS[op](compareValues(a, b)));
+
+    if(tokens.length === 0) return () => true;
+    const evaluate = expression();
+    if(pos < tokens.length) throw new Error(`unexpected "${peek().value}" in formula: ${formula}`);
+
+    return evaluate;
+}
+
+/**
+ * Compares two cell values the way formulas and sorts do. Blank values sort
+ * first, dates and numbers compare numerically and everything else as text.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative if a sorts before b, positive if after, 0 if equal
+ */
+function compareValues(a, b) {
+    if(isBlank(a) || isBlank(b)) {
+        // blank checkboxes and numbers count as 0, like they do in Airtable
+        const other = isBlank(a)? b : a;
+        if(typeof other === 'number' || typeof other === 'boolean') return toNumber(a) - toNumber(b);
+        return (isBlank(a)? 0 : 1) - (isBlank(b)? 0 : 1);
+    }
+
+    if(a instanceof Date || b instanceof Date) return toDate(a) - toDate(b);
+    if(isNumeric(a) && isNumeric(b)) return toNumber(a) - toNumber(b);
+
+    const textA = toText(a);
+    const textB = toText(b);
+    return textA < textB? -1 : (textA > textB? 1 : 0);
+}
+
+/**
+ * @ignore
+ * @param {string} formula - Airtable formula
+ * @returns {Object[]} - tokens with type and value
+ */
+function tokenize(formula) {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+
+    while(TOKEN.lastIndex < formula.length) {
+        if(/^\s*$/.test(formula.slice(TOKEN.lastIndex))) break;
+
+        const start = TOKEN.lastIndex;
+        const match = TOKEN.exec(formula);
+        if(!match) throw new Error(`unexpected character at ${start} in formula: ${formula}`);
+
+        const [, string, number, field, name, operator] = match;
+        if(string) tokens.push({ type: 'string', value: unescape(string.slice(1, -1)) });
+        else if(number) tokens.push({ type: 'number', value: parseFloat(number) });
+        else if(field) tokens.push({ type: 'field', value: unescape(field.slice(1, -1)) });
+        else if(name) tokens.push({ type: 'name', value: name });
+        else tokens.push({ type: 'operator', value: operator });
+    }
+
+    return tokens;
+}
+
+/**
+ * @ignore
+ * @param {string} value - escaped string or field name
+ * @returns {string} - unescaped value
+ */
+function unescape(value) {
+    return value.replace(/\\(.)/g, (match, char) => char === 'n'? '\n' : char);
+}
+
+/**
+ * @ignore
+ * @param {Object} record - record being evaluated
+ * @param {string} name - field name
+ * @returns {*} - cell value, null if blank
+ */
+function fieldValue(record, name) {
+    const value = (record.fields || {})[name];
+    return value === undefined? null : value;
+}
+
+/**
+ * @ignore
+ * @param {*} value - cell or formula value
+ * @returns {boolean} - true for null, empty strings and empty arrays
+ */
+function isBlank(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * @ignore
+ * @param {*} value - cell or formula value
+ * @returns {boolean} - true if the value should compare as a number
+ */
+function isNumeric(value) {
+    if(typeof value === 'number' || typeof value === 'boolean') return true;
+    return typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value));
+}
+
+/**
+ * @ignore
+ * @param {*} value - cell or formula value
+ * @returns {boolean} - formula truthiness
+ */
+function truthy(value) {
+    if(isBlank(value)) return false;
+    if(typeof value === 'number') return value !== 0 && !isNaN(value);
+    return !!value;
+}
+
+/**
+ * @ignore
+ * @param {*} value - cell or formula value
+ * @returns {string} - text value, arrays are joined with commas
+ */
+function toText(value) {
+    if(value === null || value === undefined) return '';
+    if(Array.isArray(value)) return value.map(toText).join(', ');
+    if(value instanceof Date) return value.toISOString();
+    if(typeof value === 'boolean') return value? '1' : '0';
+    if(typeof value === 'object') return String(value.name || value.filename || value.email || value.id || '');
+    return String(value);
+}
+
+/**
+ * @ignore
+ * @param {*} value - cell or formula value
+ * @returns {number} - numeric value, blank is 0
+ */
+function toNumber(value) {
+    if(isBlank(value)) return 0;
+    if(value instanceof Date) return value.getTime();
+    if(typeof value === 'boolean') return value? 1 : 0;
+    return Number(toText(value));
+}
+
+/**
+ * @ignore
+ * @param {*} value - cell or formula value
+ * @returns {Date|null} - date value, null if blank or invalid
+ */
+function toDate(value) {
+    if(isBlank(value)) return null;
+    const date = value instanceof Date? value : new Date(typeof value === 'number'? value : toText(value));
+    return isNaN(date.getTime())? null : date;
+}
+
+module.exports = {
+    parse,
+    compareValues
+};
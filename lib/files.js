@@ -0,0 +1,19 @@
+const fs = require('fs');
+
+/**
+ * Writes a value to a JSON file by writing a temporary file next to it and
+ * renaming that over the file, so a crash never leaves it half written.
+ *
+ * @ignore
+ * @param {string} file - path of the file
+ * @param {*} value - value to write, it must be serializable to JSON
+ */
+function writeJSON(file, value) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value));
+    fs.renameSync(tmp, file);
+}
+
+module.exports = {
+    writeJSON
+};
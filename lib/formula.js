@@ -0,0 +1,216 @@
+/**
+ * Compiles object filters into escaped Airtable filterByFormula strings.
+ * Every method that takes a where condition or filterByFormula param
+ * accepts either a raw formula string or a filter object.
+ *
+ * Keys of a filter object are column names and are combined with AND.
+ * A plain value tests equality, an array tests for any of its values and
+ * null tests for a blank cell. Undefined values throw, so a missing value
+ * never turns into a blank check by accident. An object value holds operators:
+ * eq, ne, gt, gte, lt, lte, in, nin, contains, startsWith, endsWith and blank.
+ * Date values are compared as dates. Conditions can be nested with
+ * the and, or and not keys.
+ *
+ * @example
+ * compile({ Status: 'Active', Age: { gt: 30 }, Tags: { contains: 'x' } });
+ * // => 'AND({Status} = "Active", {Age} > 30, FIND("x", {Tags} & "") > 0)'
+ *
+ * compile({ or: [{ Owner: null }, { Due: { lt: new Date() } }], not: { Name: 'foo' } });
+ *
+ * @module formula
+ */
+
+const COMPARISONS = {
+    eq: '=',
+    ne: '!=',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<='
+};
+
+const DATE_COMPARISONS = {
+    eq: (field, date) => `IS_SAME(${field}, ${date}, 'second')`,
+    ne: (field, date) => `NOT(IS_SAME(${field}, ${date}, 'second'))`,
+    gt: (field, date) => `IS_AFTER(${field}, ${date})`,
+    gte: (field, date) => `NOT(IS_BEFORE(${field}, ${date}))`,
+    lt: (field, date) => `IS_BEFORE(${field}, ${date})`,
+    lte: (field, date) => `NOT(IS_AFTER(${field}, ${date}))`
+};
+
+// operators that don't map onto a comparison symbol
+const OPERATORS = {
+    in: (field, values) => {
+        if(!Array.isArray(values)) throw new Error('the value for the in operator should be an array');
+        return values.length > 0? join('OR', values.map(value => compare('eq', field, value))) : 'FALSE()';
+    },
+    nin: (field, values) => `NOT(${OPERATORS.in(field, values)})`,
+    contains: (field, value) => `FIND(${formatValue(value)}, ${field} & "") > 0`,
+    startsWith: (field, value) => `FIND(${formatValue(value)}, ${field} & "") = 1`,
+    endsWith: (field, value) => `RIGHT(${field} & "", LEN(${formatValue(value)})) = ${formatValue(value)}`,
+    blank: (field, isBlank) => `LEN(${field} & "") ${isBlank? '=' : '>'} 0`
+};
+
+// string literals, column references in braces and bare names, with the parenthesis that makes them a function call
+const REFERENCE = /("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|\{((?:\\.|[^}\\])*)\}|([A-Za-z_][A-Za-z0-9_]*)(\s*\()?/g;
+
+/**
+ * Wraps a column name in curly braces, escaping any braces or
+ * backslashes it contains
+ *
+ * @example
+ * formatField('Column ID'); // => '{Column ID}'
+ *
+ * @param {string} name - Airtable column name
+ * @returns {string} Column reference usable in a formula
+ */
+function formatField(name) {
+    return `{${String(name).replace(/[\\}]/g, '\\$&')}}`;
+}
+
+/**
+ * Formats a javascript value as a formula literal. Strings are quoted and
+ * escaped, dates are parsed from their ISO string and null is BLANK()
+ *
+ * @example
+ * formatValue('say "hi"'); // => '"say \"hi\""'
+ *
+ * @param {*} value - Value to format
+ * @returns {string} Formula literal
+ */
+function formatValue(value) {
+    if(value === undefined) throw new Error('cannot use undefined in a filter, use null for blank');
+    if(value === null) return 'BLANK()';
+    if(value instanceof Date) return `DATETIME_PARSE("${value.toISOString()}")`;
+    if(typeof value === 'boolean') return value? 'TRUE()' : 'FALSE()';
+    if(typeof value === 'number') {
+        if(!isFinite(value)) throw new Error(`cannot use ${value} in a filter`);
+        return String(value);
+    }
+
+    const escaped = String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+    return `"${escaped}"`;
+}
+
+/**
+ * Compiles a filter object into a filterByFormula string. Strings are
+ * assumed to already be formulas and are returned as is.
+ *
+ * @param {Object|string} filter - Filter object or formula string
+ * @param {function} [rename] - Maps the column names used in the filter to Airtable column names
+ * @returns {string} filterByFormula string, empty if the filter has no conditions
+ */
+function compile(filter, rename = name => name) {
+    if(filter === undefined || filter === null) return '';
+    if(typeof filter === 'string') return filter;
+    if(Array.isArray(filter)) return join('AND', filter.map(item => compile(item, rename)));
+    if(typeof filter !== 'object') throw new Error('filter should be a formula string or filter object');
+
+    return join('AND', Object.keys(filter).map(key => {
+        const value = filter[key];
+
+        if(key === 'and' || key === 'or') {
+            if(!Array.isArray(value)) throw new Error(`the value for ${key} should be an array of filters`);
+            return join(key.toUpperCase(), value.map(item => compile(item, rename)));
+        }
+        if(key === 'not') {
+            const condition = compile(value, rename);
+            return condition? `NOT(${condition})` : '';
+        }
+
+        return compileField(formatField(rename(key)), value);
+    }));
+}
+
+/**
+ * Renames the column references in a formula string, both the ones in
+ * curly braces and bare single word names. String literals and function names are left alone.
+ *
+ * @example
+ * renameFields('AND(firstName = "x", {lastName} = "y")', name => map[name] || name);
+ * // => 'AND({First Name} = "x", {Last Name} = "y")'
+ *
+ * @param {string} formula - Airtable formula
+ * @param {function} rename - Maps a column name to the name it should be replaced with
+ * @returns {string} Formula with renamed columns
+ */
+function renameFields(formula, rename) {
+    return formula.replace(REFERENCE, (match, string, braced, name, call) => {
+        if(string || call) return match;
+        if(braced !== undefined) return formatField(rename(braced.replace(/\\(.)/g, '$1')));
+        return rename(name) === name? match : formatField(rename(name));
+    });
+}
+
+/**
+ * Compiles the condition for a single column
+ *
+ * @ignore
+ * @param {string} field - formatted column reference
+ * @param {*} condition - value, array of values or operator object
+ * @returns {string} - formula
+ */
+function compileField(field, condition) {
+    if(Array.isArray(condition)) return OPERATORS.in(field, condition);
+    if(!isOperatorObject(condition)) return compare('eq', field, condition);
+
+    return join('AND', Object.keys(condition).map(op => {
+        if(COMPARISONS[op]) return compare(op, field, condition[op]);
+        if(OPERATORS[op]) return OPERATORS[op](field, condition[op]);
+        throw new Error(`unknown filter operator "${op}" for ${field}`);
+    }));
+}
+
+/**
+ * Compiles a comparison, switching to date functions for dates
+ * and blank checks for null
+ *
+ * @ignore
+ * @param {string} op - comparison operator name
+ * @param {string} field - formatted column reference
+ * @param {*} value - value to compare against
+ * @returns {string} - formula
+ */
+function compare(op, field, value) {
+    if(value === undefined) throw new Error(`no value for ${field} in the filter, use null to match blank cells`);
+    if(value === null && (op === 'eq' || op === 'ne')) {
+        return OPERATORS.blank(field, op === 'eq');
+    }
+    if(value instanceof Date) return DATE_COMPARISONS[op](field, formatValue(value));
+
+    return `${field} ${COMPARISONS[op]} ${formatValue(value)}`;
+}
+
+/**
+ * Combines conditions with a logical function, skipping empty ones
+ *
+ * @ignore
+ * @param {string} fn - AND or OR
+ * @param {string[]} conditions - formulas
+ * @returns {string} - formula
+ */
+function join(fn, conditions) {
+    conditions = conditions.filter(condition => !!condition);
+    if(conditions.length === 0) return '';
+    if(conditions.length === 1) return conditions[0];
+    return `${fn}(${conditions.join(', ')})`;
+}
+
+/**
+ * @ignore
+ * @param {*} value - filter condition
+ * @returns {boolean} - true if value is a plain operator object
+ */
+function isOperatorObject(value) {
+    return !!value && typeof value === 'object' && !(value instanceof Date);
+}
+
+module.exports = {
+    compile,
+    renameFields,
+    formatField,
+    formatValue
+};
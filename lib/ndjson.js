@@ -0,0 +1,72 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Formats field values for a JSON line. Attachments are reduced to their url
+ * and filename, which is what Airtable accepts when they are written back.
+ *
+ * @ignore
+ * @param {Object} fields - field values
+ * @returns {Object} - field values safe to write back to Airtable
+ */
+function formatFields(fields = {}) {
+    return Object.keys(fields).reduce((res, name) => {
+        const value = fields[name];
+        res[name] = Array.isArray(value)
+            ? value.map(item => (item && item.url && item.filename? { url: item.url, filename: item.filename } : item))
+            : value;
+        return res;
+    }, {});
+}
+
+/**
+ * @ignore
+ * @param {Object} value - object to write
+ * @returns {string} - JSON line ending with a line break
+ */
+function formatRow(value) {
+    return `${JSON.stringify(value)}\n`;
+}
+
+/**
+ * Parses newline delimited JSON as it arrives, skipping blank lines
+ *
+ * @ignore
+ * @param {AsyncIterable} chunks - strings or buffers, like a readable stream
+ * @returns {AsyncIterable} - { line, value } for each object, or { line, error } for a malformed line
+ */
+async function* parse(chunks) {
+    let rest = '';
+    let line = 0;
+
+    const parseLine = text => {
+        line += 1;
+        if(text.trim() === '') return;
+        try {
+            const value = JSON.parse(text);
+            if(!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('should be an object');
+            return { line, value };
+        }
+        catch(e) {
+            return { line, error: new Error(`invalid JSON: ${e.message}`) };
+        }
+    };
+
+    const decoder = new StringDecoder('utf8');
+    for await (const chunk of chunks) {
+        const lines = (rest + decoder.write(chunk)).split('\n');
+        rest = lines.pop();
+        for(const text of lines) {
+            const row = parseLine(text);
+            if(row) yield row;
+        }
+    }
+
+    const row = parseLine(rest);
+    if(row) yield row;
+}
+
+module.exports = {
+    formatFields,
+    formatRow,
+    parse
+};
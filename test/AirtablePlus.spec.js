@@ -0,0 +1,706 @@
+const { PassThrough } = require('stream');
+const { expect } = require('chai');
+const AirtablePlus = require('../index');
+
+describe('AirtablePlus', () => {
+    let driver;
+    let inst;
+
+    beforeEach(() => {
+        driver = new AirtablePlus.MemoryDriver({
+            tables: {
+                Users: [
+                    { Name: 'foo', Age: 30, Status: 'Active' },
+                    { Name: 'bar', Age: 20, Status: 'Active' },
+                    { Name: 'baz', Age: 40, Status: 'Archived' }
+                ],
+                Orders: [],
+                Teams: [],
+                Orgs: []
+            }
+        });
+        inst = new AirtablePlus({ tableName: 'Users', driver });
+    });
+
+    describe('clients', () => {
+        const env = { ...process.env };
+        const clientKey = cfg => cfg.base._base._airtable._apiKey;
+
+        afterEach(() => {
+            process.env = { ...env };
+        });
+
+        it('gives each instance its own client', () => {
+            const first = new AirtablePlus({ apiKey: 'keyFirst', baseID: 'appFirst' });
+            const second = new AirtablePlus({ apiKey: 'keySecond', baseID: 'appFirst' });
+            expect(clientKey(first.config)).to.equal('keyFirst');
+            expect(clientKey(second.config)).to.equal('keySecond');
+        });
+
+        it('defaults to the environment credentials', () => {
+            process.env.AIRTABLE_API_KEY = 'keyEnv';
+            process.env.AIRTABLE_ACCESS_TOKEN = 'patEnv';
+            expect(clientKey(new AirtablePlus({ baseID: 'appEnv' }).config)).to.equal('patEnv');
+        });
+
+        it('sends an apiKey passed in over an access token from the environment', () => {
+            process.env.AIRTABLE_ACCESS_TOKEN = 'patEnv';
+            expect(clientKey(new AirtablePlus({ apiKey: 'keyCustomer', baseID: 'appEnv' }).config)).to.equal('keyCustomer');
+        });
+
+        it('sends the credential of a call override over the instance one', () => {
+            const token = new AirtablePlus({ accessToken: 'patInstance', baseID: 'appInstance' });
+            expect(clientKey(token._mergeConfig({ apiKey: 'keyCall' }))).to.equal('keyCall');
+            expect(clientKey(token._mergeConfig({ tableName: 'Other' }))).to.equal('patInstance');
+
+            const key = new AirtablePlus({ apiKey: 'keyInstance', baseID: 'appInstance' });
+            expect(clientKey(key._mergeConfig({ accessToken: 'patCall' }))).to.equal('patCall');
+        });
+    });
+
+    describe('create, read, find, update, replace and delete', () => {
+        it('creates a record', async () => {
+            const record = await inst.create({ Name: 'qux' });
+            expect(record.fields).to.deep.equal({ Name: 'qux' });
+            expect(await inst.find(record.id)).to.deep.equal(record);
+        });
+
+        it('reads records with Airtable api params', async () => {
+            const rows = await inst.read({ filterByFormula: '{Status} = "Active"', sort: [{ field: 'Age' }] });
+            expect(rows.map(({ fields }) => fields.Name)).to.deep.equal(['bar', 'foo']);
+        });
+
+        it('reads another table when passed a table name', async () => {
+            expect(await inst.read('Orders')).to.deep.equal([]);
+        });
+
+        it('updates and replaces a record', async () => {
+            const [row] = await inst.read({ maxRecords: 1 });
+
+            const updated = await inst.update(row.id, { Age: 31 });
+            expect(updated.fields).to.deep.equal({ Name: 'foo', Age: 31, Status: 'Active' });
+
+            const replaced = await inst.replace(row.id, { Name: 'foo' });
+            expect(replaced.fields).to.deep.equal({ Name: 'foo' });
+        });
+
+        it('deletes a record', async () => {
+            const [row] = await inst.read({ maxRecords: 1 });
+            await inst.delete(row.id);
+            expect(await inst.read()).to.have.length(2);
+        });
+
+        it('converts column names to camel case', async () => {
+            await inst.create({ 'First Name': 'qux' }, { tableName: 'Orders' });
+            const [row] = await inst.read('Orders', { camelCase: true });
+            expect(row.fields).to.deep.equal({ firstName: 'qux' });
+        });
+
+        it('applies the transform to reads', async () => {
+            const rows = await inst.read({}, { transform: row => row.fields.Name });
+            expect(rows).to.deep.equal(['foo', 'bar', 'baz']);
+        });
+
+        it('returns records with getId and get in complex mode', async () => {
+            const [row] = await inst.read({ maxRecords: 1 }, { complex: true });
+            expect(row.getId()).to.equal(row.id);
+            expect(row.get('Name')).to.equal('foo');
+        });
+    });
+
+    describe('iterate and readPage', () => {
+        beforeEach(async () => {
+            await inst.createMany(Array.from({ length: 7 }, (v, i) => ({ Name: `user ${i}`, Age: i })));
+        });
+
+        it('iterates every record', async () => {
+            const names = [];
+            for await (const record of inst.iterate({ pageSize: 3 })) names.push(record.fields.Name);
+            expect(names).to.have.length(10);
+        });
+
+        it('stops requesting pages when the loop ends early', async () => {
+            const select = driver.select.bind(driver);
+            let requests = 0;
+            driver.select = (...args) => {
+                requests += 1;
+                return select(...args);
+            };
+
+            for await (const records of inst.iteratePages({ pageSize: 3 })) {
+                if(records.length > 0) break;
+            }
+            expect(requests).to.equal(1);
+        });
+
+        it('formats iterated records like read', async () => {
+            const records = [];
+            for await (const record of inst.iterate('Users', { camelCase: true, transform: row => row.fields.name })) records.push(record);
+            expect(records.slice(0, 3)).to.deep.equal(['foo', 'bar', 'baz']);
+        });
+
+        it('drops the records a transform filters out on every page', async () => {
+            const transform = row => row.fields.Age > 5 && row.fields.Name;
+            const names = [];
+            for await (const name of inst.iterate({ pageSize: 3 }, { transform })) names.push(name);
+
+            expect(names).to.deep.equal(await inst.read({}, { transform }));
+            expect(names).to.deep.equal(['foo', 'bar', 'baz', 'user 6']);
+        });
+
+        it('yields untransformed records like read when the transform filters out every record', async () => {
+            const transform = () => null;
+            const records = [];
+            for await (const record of inst.iterate({ pageSize: 3 }, { transform })) records.push(record);
+
+            expect(records).to.deep.equal(await inst.read({}, { transform }));
+            expect(records).to.have.length(10);
+            expect((await inst.readPage({ pageSize: 3 }, { transform })).records).to.deep.equal([]);
+        });
+
+        it('reads pages with an offset cursor', async () => {
+            const first = await inst.readPage({ pageSize: 6 });
+            expect(first.records).to.have.length(6);
+
+            const second = await inst.readPage({ pageSize: 6, offset: first.offset });
+            expect(second.records).to.have.length(4);
+            expect(second.offset).to.equal(undefined);
+        });
+    });
+
+    describe('expand', () => {
+        let teams;
+
+        beforeEach(async () => {
+            const [org] = (await inst.createMany([{ Name: 'Acme' }], 'Orgs')).records;
+            teams = (await inst.createMany([{ Name: 'Red', Org: [org.id] }, { Name: 'Blue' }], 'Teams')).records;
+            const users = await inst.read();
+            await inst.update(users[0].id, { Team: [teams[0].id, teams[1].id] });
+            await inst.update(users[1].id, { Team: [teams[0].id, 'recMissing'] });
+        });
+
+        it('replaces linked record IDs with records', async () => {
+            const [foo, bar, baz] = await inst.read({}, { expand: { Team: 'Teams' } });
+            expect(foo.fields.Team.map(({ fields }) => fields.Name)).to.deep.equal(['Red', 'Blue']);
+            expect(bar.fields.Team[0]).to.deep.equal({ id: teams[0].id, fields: teams[0].fields, createdTime: teams[0].createdTime });
+            expect(bar.fields.Team[1]).to.equal('recMissing');
+            expect(baz.fields.Team).to.equal(undefined);
+        });
+
+        it('reads each linked record once with nested expansions and fields', async () => {
+            const select = driver.select.bind(driver);
+            const tables = [];
+            driver.select = (tableName, params) => {
+                tables.push(tableName);
+                return select(tableName, params);
+            };
+
+            const [foo] = await inst.read({}, { expand: { Team: { table: 'Teams', fields: ['Name'], expand: { Org: 'Orgs' } } } });
+            const [red, blue] = foo.fields.Team;
+            expect(tables).to.deep.equal(['Users', 'Teams', 'Orgs']);
+            expect(red.fields.Org[0].fields).to.deep.equal({ Name: 'Acme' });
+            expect(blue.fields).to.deep.equal({ Name: 'Blue' });
+        });
+
+        it('expands found records', async () => {
+            const [user] = await inst.read({ maxRecords: 1 });
+            const found = await inst.find(user.id, { expand: { Team: 'Teams' } });
+            expect(found.fields.Team.map(({ id }) => id)).to.deep.equal(teams.map(({ id }) => id));
+        });
+
+        it('throws on expansions without a table', async () => {
+            const err = await inst.read({}, { expand: { Team: {} } }).catch(e => e);
+            expect(err.message).to.equal('expand of Team needs a table name');
+        });
+    });
+
+    describe('batches', () => {
+        it('creates records in batches of 10', async () => {
+            const records = Array.from({ length: 23 }, (v, i) => ({ Name: `user ${i}` }));
+            const { records: created, failed } = await inst.createMany(records, 'Orders');
+
+            expect(created).to.have.length(23);
+            expect(failed).to.deep.equal([]);
+            expect((await inst.read('Orders')).map(({ fields }) => fields.Name)).to.deep.equal(records.map(({ Name }) => Name));
+        });
+
+        it('reports the records of failed batches with their input index', async () => {
+            const rows = await inst.read();
+            const updates = Array.from({ length: 12 }, (v, i) => ({ id: rows[i % 3].id, fields: { Age: i } }));
+            updates[11].id = 'recMissing';
+
+            const { records, failed } = await inst.updateMany(updates);
+            expect(records).to.have.length(10);
+            expect(failed.map(({ index }) => index)).to.deep.equal([10, 11]);
+            expect(failed[0].data).to.deep.equal(updates[10]);
+            expect(failed[0].error.statusCode).to.equal(404);
+        });
+
+        it('replaces many records', async () => {
+            const rows = await inst.read();
+            const { records } = await inst.replaceMany(rows.map(({ id, fields }) => ({ id, fields: { Name: fields.Name } })));
+            expect(records.map(({ fields }) => fields)).to.deep.equal([{ Name: 'foo' }, { Name: 'bar' }, { Name: 'baz' }]);
+        });
+
+        it('deletes many records', async () => {
+            const ids = (await inst.read()).map(({ id }) => id);
+            const { records } = await inst.deleteMany(ids);
+            expect(records.map(({ id }) => id)).to.deep.equal(ids);
+            expect(await inst.read()).to.deep.equal([]);
+        });
+
+        it('returns sdk records in complex mode', async () => {
+            const { records } = await inst.createMany([{ Name: 'qux' }], { tableName: 'Orders', complex: true });
+            expect(records[0].get('Name')).to.equal('qux');
+        });
+
+        it('rejects non array input', async () => {
+            const err = await inst.createMany({ Name: 'qux' }).catch(e => e);
+            expect(err.message).to.equal('records must be an array');
+        });
+    });
+
+    describe('upsertMany', () => {
+        it('creates, updates and skips unchanged records', async () => {
+            const report = await inst.upsertMany([
+                { Name: 'foo', Age: 31 },
+                { Name: 'bar', Age: 20 },
+                { Name: 'qux', Age: 1 }
+            ], { keys: 'Name' });
+
+            expect(report.created.map(({ fields }) => fields)).to.deep.equal([{ Name: 'qux', Age: 1 }]);
+            expect(report.updated.map(({ fields }) => fields.Age)).to.deep.equal([31]);
+            expect(report.unchanged.map(({ fields }) => fields.Name)).to.deep.equal(['bar']);
+        });
+
+        it('only sends the changed fields', async () => {
+            const update = driver.update.bind(driver);
+            const sent = [];
+            driver.update = (tableName, records) => {
+                sent.push(...records.map(({ fields }) => fields));
+                return update(tableName, records);
+            };
+
+            await inst.upsertMany([{ Name: 'foo', Age: 31, Status: 'Active' }], { keys: ['Name'] });
+            expect(sent).to.deep.equal([{ Age: 31 }]);
+        });
+
+        it('matches on composite keys', async () => {
+            const report = await inst.upsertMany([{ Name: 'foo', Status: 'Archived', Age: 1 }], { keys: ['Name', 'Status'] });
+            expect(report.created).to.have.length(1);
+        });
+
+        it('reports duplicate keys and multiple matches as ambiguous', async () => {
+            await inst.create({ Name: 'foo', Age: 50 });
+            const report = await inst.upsertMany([{ Name: 'foo', Age: 1 }, { Name: 'bar', Age: 1 }, { Name: 'bar', Age: 2 }], { keys: 'Name' });
+
+            expect(report.ambiguous.map(({ index, reason }) => [index, reason])).to.deep.equal([
+                [0, 'multiple matches'],
+                [2, 'duplicate key']
+            ]);
+            expect(report.updated).to.have.length(1);
+        });
+
+        it('throws on records without a key value', async () => {
+            const err = await inst.upsertMany([{ Age: 1 }], { keys: 'Name' }).catch(e => e);
+            expect(err.message).to.match(/record 0 has no value for key field Name/);
+        });
+
+        it('reports validation errors at the index of the input record', async () => {
+            inst.defineSchema('Users', { Name: { type: 'text', required: true }, Age: 'number', Status: 'text' });
+            // the first record updates foo, the second one is created without its required Name
+            const err = await inst.upsertMany([{ Age: 30, Status: 'Archived' }, { Age: 99, Status: 'Active' }], { keys: 'Age' })
+                .catch(e => e);
+
+            expect(err).to.be.an.instanceof(AirtablePlus.ValidationError);
+            expect(err.errors.map(({ index, field }) => [index, field])).to.deep.equal([[1, 'Name']]);
+            expect(err.message).to.match(/\(record 1\)/);
+        });
+    });
+
+    describe('syncTable', () => {
+        beforeEach(async () => {
+            await inst.createMany([
+                { Name: 'foo', Age: 1, Note: 'stale' },
+                { Name: 'baz', Age: 40, Status: 'Archived' },
+                { Name: 'gone', Age: 5 },
+                { Age: 6 }
+            ], 'Orders');
+        });
+
+        const names = rows => rows.map(({ fields }) => fields.Name);
+
+        it('plans the inserts, updates and deletes', async () => {
+            const changes = await inst.syncTable('Users', 'Orders', { key: 'Name', dryRun: true });
+
+            expect(changes.inserts.map(({ Name }) => Name)).to.deep.equal(['bar']);
+            expect(changes.updates.map(({ fields }) => fields)).to.deep.equal([{ Age: 30, Status: 'Active' }]);
+            expect(names(changes.deletes)).to.deep.equal(['gone']);
+            expect(await inst.read('Orders')).to.have.length(4);
+        });
+
+        it('makes the destination match the source and keeps record IDs', async () => {
+            const [foo] = await inst.read({ filterByFormula: { Name: 'foo' } }, 'Orders');
+            await inst.syncTable('Users', 'Orders', { key: 'Name' });
+
+            const rows = await inst.read({ filterByFormula: { Name: { ne: null } } }, 'Orders');
+            expect(names(rows).sort()).to.deep.equal(['bar', 'baz', 'foo']);
+            expect(rows.find(({ id }) => id === foo.id).fields).to.deep.equal({ Name: 'foo', Age: 30, Status: 'Active', Note: 'stale' });
+        });
+
+        it('clears fields that are empty in the source', async () => {
+            const [foo] = await inst.read({ filterByFormula: { Name: 'foo' } });
+            await inst.update(foo.id, { Status: null });
+            await inst.syncTable('Users', 'Orders', { key: 'Name' });
+
+            const [synced] = await inst.read({ filterByFormula: { Name: 'foo' } }, 'Orders');
+            expect(synced.fields).to.deep.equal({ Name: 'foo', Age: 30, Note: 'stale' });
+        });
+
+        it('only syncs source.fields when set', async () => {
+            await inst.syncTable({ tableName: 'Users', fields: ['Name', 'Age'] }, 'Orders', { key: 'Name' });
+            const [foo] = await inst.read({ filterByFormula: { Name: 'foo' } }, 'Orders');
+            expect(foo.fields).to.deep.equal({ Name: 'foo', Age: 30, Note: 'stale' });
+        });
+
+        it('leaves read-only destination fields alone', async () => {
+            inst.defineSchema('Orders', { Note: 'formula' });
+            await inst.syncTable('Users', 'Orders', { key: 'Name' });
+            const [foo] = await inst.read({ filterByFormula: { Name: 'foo' } }, 'Orders');
+            expect(foo.fields.Note).to.equal('stale');
+        });
+
+        it('leaves read-only destination fields out of inserts and source.fields', async () => {
+            inst.defineSchema('Orders', { Name: 'text', Age: 'formula', Status: 'text' });
+            await inst.syncTable('Users', 'Orders', { key: 'Name' });
+            await inst.syncTable({ tableName: 'Users', fields: ['Name', 'Age'] }, 'Orders', { key: 'Name' });
+
+            const rows = await inst.read({ filterByFormula: { Name: { ne: null } }, sort: [{ field: 'Name' }] }, 'Orders');
+            expect(rows.map(({ fields }) => fields)).to.deep.equal([
+                { Name: 'bar', Status: 'Active' },
+                { Name: 'baz', Age: 40, Status: 'Archived' },
+                { Name: 'foo', Age: 1, Note: 'stale', Status: 'Active' }
+            ]);
+        });
+
+        it('leaves destination rows without a key alone and reports them', async () => {
+            const res = await inst.syncTable('Users', 'Orders', { key: 'Name' });
+            expect(res.ambiguous.map(({ row, reason }) => [row.fields.Age, reason])).to.deep.equal([[6, 'missing key in destination']]);
+            expect((await inst.read({ filterByFormula: { Name: null } }, 'Orders')).map(({ fields }) => fields)).to.deep.equal([{ Age: 6 }]);
+        });
+    });
+
+    describe('exportTable and importTable', () => {
+        const input = text => {
+            const stream = new PassThrough();
+            stream.end(text);
+            return stream;
+        };
+
+        it('exports CSV with the columns of every page', async () => {
+            await inst.createMany(Array.from({ length: 4 }, (v, i) => ({ Name: `user ${i}`, Note: i === 3? 'late, field' : null })));
+            const text = await inst.exportTable({ pageSize: 3 });
+            const lines = text.trim().split('\n');
+
+            expect(lines[0]).to.equal('id,Name,Age,Status,Note');
+            expect(lines).to.have.length(8);
+            expect(lines[7]).to.match(/,user 3,,,"late, field"$/);
+        });
+
+        it('exports the columns passed in', async () => {
+            const text = await inst.exportTable({ sort: [{ field: 'Age' }] }, { columns: ['Name'] });
+            expect(text.split('\n').slice(0, 2)).to.deep.equal(['id,Name', `${(await inst.read({ sort: [{ field: 'Age' }] }))[0].id},bar`]);
+        });
+
+        it('exports NDJSON into a stream', async () => {
+            const stream = new PassThrough();
+            let text = '';
+            stream.on('data', chunk => {
+                text += chunk;
+            });
+
+            expect(await inst.exportTable({}, { format: 'ndjson', stream })).to.equal(3);
+            expect(JSON.parse(text.split('\n')[0]).fields).to.deep.equal({ Name: 'foo', Age: 30, Status: 'Active' });
+        });
+
+        it('imports CSV with typecast when there is no schema', async () => {
+            const create = driver.create.bind(driver);
+            const options = [];
+            driver.create = (tableName, records, opts) => {
+                options.push(opts);
+                return create(tableName, records, opts);
+            };
+
+            const report = await inst.importTable(input('Full Name,Age\nqux,5\n'), { columnMap: { 'Full Name': 'Name' } }, 'Orders');
+            expect(report).to.deep.equal({ total: 1, created: 1, updated: 0, unchanged: 0, rejected: [] });
+            expect(options).to.deep.equal([{ typecast: true }]);
+        });
+
+        it('coerces values through the schema', async () => {
+            inst.defineSchema('Orders', { Name: 'text', Age: 'number' });
+            await inst.importTable(input('Name,Age\nqux,5\n'), {}, 'Orders');
+            expect((await inst.read('Orders'))[0].fields).to.deep.equal({ Name: 'qux', Age: 5 });
+        });
+
+        it('upserts on key fields', async () => {
+            const report = await inst.importTable(input('{"Name":"foo","Age":31}\n{"Name":"new"}\n'), { format: 'ndjson', key: 'Name' });
+            expect(report).to.include({ total: 2, created: 1, updated: 1 });
+        });
+
+        it('leaves rows alone when re-importing an unchanged CSV export without a schema', async () => {
+            await inst.create({ Name: 'qux', Age: 5, Active: true, Tags: ['a', 'b'] });
+            const text = await inst.exportTable();
+
+            const report = await inst.importTable(input(text), { key: 'Name' });
+            expect(report).to.deep.equal({ total: 4, created: 0, updated: 0, unchanged: 4, rejected: [] });
+
+            const changed = await inst.importTable(input(text.replace('qux,5', 'qux,6')), { key: 'Name' });
+            expect(changed).to.include({ updated: 1, unchanged: 3 });
+        });
+
+        it('only rejects the rows Airtable rejects in a batch', async () => {
+            const create = driver.create.bind(driver);
+            driver.create = (tableName, records, opts) => {
+                if(records.some(({ Name }) => Name === 'bad')) {
+                    return Promise.reject(Object.assign(new Error('invalid value for Name'), { statusCode: 422 }));
+                }
+                return create(tableName, records, opts);
+            };
+
+            const report = await inst.importTable(input('Name\na\nbad\nc\n'), {}, 'Orders');
+            expect(report.created).to.equal(2);
+            expect(report.rejected.map(({ line, error }) => [line, error.message])).to.deep.equal([[3, 'invalid value for Name']]);
+        });
+
+        it('reports the rows a schema rejects at their line', async () => {
+            inst.defineSchema('Users', { Name: { type: 'text', required: true }, Age: 'number' });
+            // line 2 updates foo, line 3 would create a record without its required Name
+            const report = await inst.importTable(input('Name,Age\nzz,30\n,5\n'), { key: 'Age' });
+            expect(report.updated).to.equal(1);
+            expect(report.rejected.map(({ line, error }) => [line, error.message])).to.deep.equal([[3, 'invalid data on line 3: Name is required']]);
+        });
+    });
+
+    describe('appendTable and overwriteTable', () => {
+        let dest;
+
+        beforeEach(async () => {
+            const [foo, bar] = await inst.read();
+            await inst.createMany([
+                { Item: 'pen', Total: 2, Customer: [foo.id] },
+                { Item: 'ink', Total: 5, Customer: [bar.id] }
+            ], 'Orders');
+
+            const destDriver = new AirtablePlus.MemoryDriver({
+                baseID: 'appDest',
+                tables: { Orders: [{ Item: 'old' }], Users: [{ Name: 'foo', Age: 1 }] }
+            });
+            dest = { tableName: 'Orders', driver: destDriver };
+        });
+
+        const items = async () => (await inst.read({}, dest)).map(({ fields }) => fields);
+
+        it('remaps links to the dest records with the same key and leaves read-only fields out', async () => {
+            await inst.appendTable('Orders', dest, {
+                readOnly: ['Total'],
+                links: { Customer: { table: 'Users', key: 'Name' } },
+                missingLinks: 'drop'
+            });
+
+            const [destFoo] = await inst.read({}, { ...dest, tableName: 'Users' });
+            expect((await items()).slice(1)).to.deep.equal([
+                { Item: 'pen', Customer: [destFoo.id] },
+                { Item: 'ink' }
+            ]);
+        });
+
+        it('copies the linked records first with copyLinked', async () => {
+            await inst.appendTable('Orders', dest, {
+                readOnly: ['Total'],
+                links: { Customer: { table: 'Users', key: 'Name', plan: { readOnly: ['Age', 'Status'] } } },
+                copyLinked: true
+            });
+
+            const users = await inst.read({}, { ...dest, tableName: 'Users' });
+            expect(users.map(({ fields }) => fields)).to.deep.equal([{ Name: 'foo', Age: 1 }, { Name: 'bar' }]);
+            expect((await items()).slice(1).map(({ Customer }) => Customer[0])).to.deep.equal(users.map(({ id }) => id));
+        });
+
+        it('overwrites the dest table', async () => {
+            await inst.overwriteTable({ tableName: 'Orders', where: { Item: 'pen' }, fields: ['Item'] }, dest);
+            expect(await items()).to.deep.equal([{ Item: 'pen' }]);
+        });
+
+        it('leaves the dest table as it was when the copy plan fails', async () => {
+            const err = await inst.overwriteTable('Orders', dest, { links: { Customer: { table: 'Users', key: 'Name' } } }).catch(e => e);
+            expect(err.message).to.match(/^1 linked records have no single match/);
+            expect(await items()).to.deep.equal([{ Item: 'old' }]);
+        });
+    });
+
+    describe('use', () => {
+        const writes = ['create', 'createMany', 'update', 'updateMany', 'replace', 'replaceMany', 'delete', 'deleteMany'];
+        const protect = tableName => ({
+            methods: writes,
+            before: ({ method, config }) => {
+                if(config.tableName === tableName) throw new Error(`${method} is not allowed on ${tableName}`);
+            }
+        });
+
+        it('lets before hooks change the args and after hooks the result', async () => {
+            inst.use({
+                methods: ['create'],
+                before: ctx => { ctx.args[0] = { ...ctx.args[0], Status: 'New' }; },
+                after: ctx => ctx.result.fields
+            });
+            expect(await inst.create({ Name: 'qux' })).to.deep.equal({ Name: 'qux', Status: 'New' });
+        });
+
+        it('tells error hooks about failed calls and rethrows', async () => {
+            const errors = [];
+            inst.use({ error: ({ method, error }) => errors.push([method, error.statusCode]) });
+            const err = await inst.find('recMissing').catch(e => e);
+            expect(err.statusCode).to.equal(404);
+            expect(errors).to.deep.equal([['find', 404]]);
+        });
+
+        it('runs the hooks of nested calls with their parent', async () => {
+            const calls = [];
+            inst.use({ before: ({ method, nested, parent }) => calls.push([method, nested, parent && parent.method]) });
+            await inst.upsert('Name', { Name: 'foo', Age: 31 });
+            expect(calls).to.deep.equal([
+                ['upsert', false, undefined],
+                ['read', true, 'upsert'],
+                ['updateMany', true, 'upsert']
+            ]);
+        });
+
+        it('blocks writes to a protected table whichever method they are made from', async () => {
+            inst.use(protect('Orders'));
+
+            const attempts = [
+                inst.overwriteTable('Users', 'Orders'),
+                inst.createMany([{ Item: 'pen' }], 'Orders'),
+                inst.upsert('Item', { Item: 'pen' }, 'Orders'),
+                inst.upsertMany([{ Item: 'pen' }], { keys: ['Item'] }, 'Orders'),
+                inst.syncTable('Users', 'Orders', { key: 'Name' })
+            ];
+            const results = await Promise.all(attempts.map(attempt => attempt.then(res => res, e => e)));
+            results.forEach(res => expect(res.message).to.match(/is not allowed on Orders/));
+            expect(await inst.read('Orders')).to.deep.equal([]);
+        });
+
+        it('runs no hooks for the calls hooks make', async () => {
+            const calls = [];
+            inst.use({
+                methods: ['create'],
+                after: async ({ config }) => {
+                    calls.push(config.tableName);
+                    if(config.tableName === 'Users') await inst.create({ Item: 'audit' }, 'Orders');
+                }
+            });
+            await inst.create({ Name: 'qux' });
+            expect(calls).to.deep.equal(['Users']);
+            expect(await inst.read('Orders')).to.have.length(1);
+        });
+
+        it('runs the rollback hooks and the hooks of the writes it makes', async () => {
+            const journal = new AirtablePlus.Journal();
+            await inst.deleteWhere({ Name: 'foo' }, { journal });
+
+            const calls = [];
+            inst.use({ before: ({ method, args, parent }) => calls.push([method, parent? parent.method : args[0] === journal]) });
+            await inst.rollback(journal);
+            expect(calls).to.deep.equal([['rollback', true], ['createMany', 'rollback']]);
+            expect(await inst.read()).to.have.length(3);
+        });
+
+        it('lets before hooks block the writes of a rollback', async () => {
+            const journal = new AirtablePlus.Journal();
+            await inst.updateWhere({ Name: 'foo' }, { Age: 31 }, { journal });
+            inst.use(protect('Users'));
+
+            const { restored, failed } = await inst.rollback(journal);
+            expect(restored).to.deep.equal([]);
+            expect(failed.map(({ action, error }) => [action, error.message])).to.deep.equal([['restore', 'updateMany is not allowed on Users']]);
+            expect((await inst.read({ filterByFormula: { Name: 'foo' } }))[0].fields.Age).to.equal(31);
+        });
+    });
+
+    describe('where helpers', () => {
+        it('updates the records matching a formula', async () => {
+            const updated = await inst.updateWhere('{Status} = "Active"', { Status: 'Archived' });
+            expect(updated).to.have.length(2);
+            expect((await inst.read()).map(({ fields }) => fields.Status)).to.deep.equal(['Archived', 'Archived', 'Archived']);
+        });
+
+        it('replaces the records matching a formula', async () => {
+            const replaced = await inst.replaceWhere('{Name} = "foo"', { Name: 'foo' });
+            expect(replaced.map(({ fields }) => fields)).to.deep.equal([{ Name: 'foo' }]);
+        });
+
+        it('deletes the records matching a formula', async () => {
+            await inst.deleteWhere('{Status} = "Archived"');
+            expect((await inst.read()).map(({ fields }) => fields.Name)).to.deep.equal(['foo', 'bar']);
+        });
+
+        it('takes filter objects as where conditions', async () => {
+            const rows = await inst.read({ filterByFormula: { Status: 'Active', Age: 30 } });
+            expect(rows.map(({ fields }) => fields.Name)).to.deep.equal(['foo']);
+
+            await inst.updateWhere({ Status: 'Archived' }, { Age: 41 });
+            expect((await inst.read()).map(({ fields }) => fields.Age)).to.deep.equal([30, 20, 41]);
+        });
+
+        it('rejects filters that would match every row', async () => {
+            for(const where of [{}, '', { Name: undefined }]) {
+                const err = await inst.deleteWhere(where).catch(e => e);
+                expect(err).to.be.an('error');
+                expect((await inst.updateWhere(where, { Age: 1 }).catch(e => e))).to.be.an('error');
+                expect((await inst.replaceWhere(where, { Age: 1 }).catch(e => e))).to.be.an('error');
+            }
+            expect((await inst.read()).map(({ fields }) => fields.Age)).to.deep.equal([30, 20, 40]);
+        });
+
+        it('truncates a table in batches', async () => {
+            await inst.createMany(Array.from({ length: 20 }, (v, i) => ({ Name: `user ${i}` })));
+            await inst.truncate();
+            expect(await inst.read()).to.deep.equal([]);
+        });
+
+        it('upserts on a key field', async () => {
+            await inst.upsert('Name', { Name: 'foo', Age: 31 });
+            await inst.upsert('Name', { Name: 'qux', Age: 1 });
+            expect((await inst.read()).map(({ fields }) => [fields.Name, fields.Age])).to.deep.equal([
+                ['foo', 31], ['bar', 20], ['baz', 40], ['qux', 1]
+            ]);
+        });
+
+        it('rejects upserts without a key value', async () => {
+            const err = await inst.upsert('Email', { Name: 'zz' }).catch(e => e);
+            expect(err.message).to.match(/no value for key field Email/);
+            expect((await inst.read()).map(({ fields }) => fields.Name)).to.deep.equal(['foo', 'bar', 'baz']);
+        });
+
+        it('appends a table to another', async () => {
+            await inst.appendTable('Users', 'Orders');
+            expect((await inst.read('Orders')).map(({ fields }) => fields.Name)).to.deep.equal(['foo', 'bar', 'baz']);
+        });
+
+        it('throws a BatchError holding both sides when a batch fails', async () => {
+            await inst.createMany(Array.from({ length: 12 }, (v, i) => ({ Name: `user ${i}`, Status: 'Active' })));
+            const update = driver.update.bind(driver);
+            let updates = 0;
+            driver.update = (tableName, records, options) => {
+                updates += 1;
+                if(updates === 2) throw Object.assign(new Error('invalid'), { statusCode: 422 });
+                return update(tableName, records, options);
+            };
+
+            const err = await inst.updateWhere('{Status} = "Active"', { Age: 1 }).catch(e => e);
+            expect(err).to.be.instanceOf(AirtablePlus.BatchError);
+            expect(err.message).to.equal('4 of 14 records failed to write: invalid');
+            expect([err.records.length, err.failed.length]).to.deep.equal([10, 4]);
+        });
+    });
+});
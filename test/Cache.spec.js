@@ -0,0 +1,120 @@
+const { expect } = require('chai');
+const AirtablePlus = require('../index');
+const Cache = require('../lib/Cache');
+const LRUStore = require('../lib/LRUStore');
+
+describe('Cache', () => {
+    describe('ttl', () => {
+        const now = Date.now;
+        let time;
+
+        beforeEach(() => {
+            time = 1000;
+            Date.now = () => time;
+        });
+
+        afterEach(() => {
+            Date.now = now;
+        });
+
+        it('expires entries after the ttl', async () => {
+            const cache = new Cache({ ttl: 10 });
+            await cache.set('key', { a: 1 });
+            time += 9;
+            expect(await cache.get('key')).to.deep.equal({ a: 1 });
+
+            time += 1;
+            expect(await cache.get('key')).to.equal(undefined);
+            expect(cache.stats()).to.deep.equal({ hits: 1, misses: 1 });
+        });
+    });
+
+    it('keys params by their set values', () => {
+        const key = params => Cache.key('appA', 'Users', 'read', params);
+        expect(key({})).to.equal(key());
+        expect(key({ view: undefined, offset: undefined })).to.equal(key(null));
+        expect(key({ view: 'Grid', pageSize: 3 })).to.equal(key({ pageSize: 3, view: 'Grid' }));
+        expect(key({ view: 'Grid' })).not.to.equal(key());
+    });
+
+    it('invalidates a table, a base or everything', async () => {
+        const cache = new Cache();
+        const keys = [['appA', 'Users'], ['appA', 'Orders'], ['appB', 'Users']].map(([baseID, tableName]) => Cache.key(baseID, tableName, 'read'));
+        const cached = async () => (await Promise.all(keys.map(key => cache.get(key)))).map(value => value !== undefined);
+        const fill = () => Promise.all(keys.map(key => cache.set(key, 1)));
+
+        await fill();
+        await cache.invalidate({ baseID: 'appA', tableName: 'Users' });
+        expect(await cached()).to.deep.equal([false, true, true]);
+
+        await fill();
+        await cache.invalidate({ baseID: 'appA' });
+        expect(await cached()).to.deep.equal([false, false, true]);
+
+        await fill();
+        await cache.invalidate();
+        expect(await cached()).to.deep.equal([false, false, false]);
+    });
+
+    it('counts the invalidations covering a table', async () => {
+        const cache = new Cache();
+        const users = { baseID: 'appA', tableName: 'Users' };
+
+        await cache.invalidate(users);
+        await cache.invalidate({ baseID: 'appA', tableName: 'Orders' });
+        await cache.invalidate({ baseID: 'appA' });
+        await cache.invalidate();
+        expect(cache.generation(users)).to.equal(3);
+    });
+
+    describe('LRUStore', () => {
+        it('drops the least recently used entry', () => {
+            const store = new LRUStore({ max: 2 });
+            store.set('a', 1);
+            store.set('b', 2);
+            store.get('a');
+            store.set('c', 3);
+            expect(store.keys()).to.deep.equal(['a', 'c']);
+        });
+    });
+
+    describe('with AirtablePlus', () => {
+        let driver;
+        let cache;
+        let inst;
+
+        beforeEach(() => {
+            driver = new AirtablePlus.MemoryDriver({ tables: { Users: [{ Name: 'foo' }] } });
+            cache = new Cache();
+            inst = new AirtablePlus({ tableName: 'Users', driver, cache });
+        });
+
+        it('serves reads from the cache until the table is written to', async () => {
+            await inst.read();
+            await inst.read();
+            expect(cache.stats()).to.deep.equal({ hits: 1, misses: 1 });
+
+            await inst.read({});
+            expect(cache.stats()).to.deep.equal({ hits: 2, misses: 1 });
+
+            await inst.create({ Name: 'bar' });
+            expect(await inst.read()).to.have.length(2);
+        });
+
+        it('does not cache reads that raced a write', async () => {
+            const select = driver.select.bind(driver);
+            let written;
+            driver.select = async (tableName, params) => {
+                const page = await select(tableName, params);
+                // the write lands while the stale page is on its way back
+                if(!written) written = inst.create({ Name: 'bar' });
+                await written;
+                return page;
+            };
+
+            expect(await inst.read()).to.have.length(1);
+            driver.select = select;
+            expect(await inst.read()).to.have.length(2);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+const { expect } = require('chai');
+const AirtablePlus = require('../index');
+const FieldMap = require('../lib/FieldMap');
+
+describe('FieldMap', () => {
+    const map = new FieldMap({ firstName: 'First Name', email: 'Email Address' });
+
+    it('renames fields both ways and passes unmapped ones through', () => {
+        expect(map.toAirtable({ firstName: 'foo', age: 30 })).to.deep.equal({ 'First Name': 'foo', age: 30 });
+        expect(map.fromAirtable({ 'First Name': 'foo', age: 30 })).to.deep.equal({ firstName: 'foo', age: 30 });
+    });
+
+    it('renames fields, sort and filter params', () => {
+        expect(map.toAirtableParams({
+            fields: ['firstName', 'age'],
+            sort: [{ field: 'email', direction: 'desc' }],
+            filterByFormula: { firstName: 'foo' }
+        })).to.deep.equal({
+            fields: ['First Name', 'age'],
+            sort: [{ field: 'Email Address', direction: 'desc' }],
+            filterByFormula: '{First Name} = "foo"'
+        });
+    });
+
+    it('renames the columns of formula strings', () => {
+        expect(map.toAirtableParams({ filterByFormula: 'firstName = "x"' }).filterByFormula).to.equal('{First Name} = "x"');
+    });
+
+    describe('with AirtablePlus', () => {
+        let inst;
+
+        beforeEach(() => {
+            const driver = new AirtablePlus.MemoryDriver({
+                tables: { Users: [{ 'First Name': 'foo', 'Email Address': 'foo@bar.com' }] }
+            });
+            inst = new AirtablePlus({ tableName: 'Users', driver, fieldMap: { firstName: 'First Name', email: 'Email Address' } });
+        });
+
+        it('maps reads, writes and filters', async () => {
+            const created = await inst.create({ firstName: 'bar', email: 'bar@bar.com' });
+            expect(created.fields).to.deep.equal({ firstName: 'bar', email: 'bar@bar.com' });
+
+            const rows = await inst.read({ filterByFormula: { firstName: 'bar' }, fields: ['email'] });
+            expect(rows.map(({ fields }) => fields)).to.deep.equal([{ email: 'bar@bar.com' }]);
+        });
+
+        it('maps where helpers', async () => {
+            await inst.updateWhere({ firstName: 'foo' }, { email: 'new@bar.com' });
+            const [row] = await inst.read({ sort: [{ field: 'firstName' }] });
+            expect(row.fields).to.deep.equal({ firstName: 'foo', email: 'new@bar.com' });
+        });
+
+        it('stores the Airtable column names', async () => {
+            await inst.create({ firstName: 'bar' });
+            const rows = await inst.read({}, { fieldMap: null });
+            expect(rows[1].fields).to.deep.equal({ 'First Name': 'bar' });
+        });
+    });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const AirtablePlus = require('../index');
+const Journal = require('../lib/Journal');
+
+describe('Journal', () => {
+    let inst;
+    let journal;
+
+    const fields = async () => (await inst.read({ sort: [{ field: 'Name' }] })).map(row => row.fields);
+
+    beforeEach(() => {
+        const driver = new AirtablePlus.MemoryDriver({
+            tables: {
+                Users: [
+                    { Name: 'bar', Age: 20, Status: 'Active' },
+                    { Name: 'foo', Age: 30, Status: 'Active' }
+                ],
+                Orders: []
+            }
+        });
+        journal = new Journal();
+        inst = new AirtablePlus({ tableName: 'Users', driver, journal });
+    });
+
+    it('snapshots the records a destructive call changes', async () => {
+        await inst.updateWhere({ Name: 'foo' }, { Age: 31 });
+
+        const [entry] = journal.entries;
+        expect(entry).to.include({ operation: 'updateWhere', tableName: 'Users' });
+        expect(Object.values(entry.snapshot)).to.deep.equal([{ Name: 'foo', Age: 30, Status: 'Active' }]);
+        expect(entry.writes.map(({ action, fields: written }) => [action, written])).to.deep.equal([['update', ['Age']]]);
+    });
+
+    it('rolls back updates and replaces', async () => {
+        const before = await fields();
+        await inst.updateWhere({ Status: 'Active' }, { Status: 'Archived' });
+        await inst.replaceWhere({ Name: 'foo' }, { Name: 'foo' });
+
+        const report = await inst.rollback(journal);
+        expect(report.restored).to.have.length(3);
+        expect(await fields()).to.deep.equal(before);
+    });
+
+    it('recreates deleted records and reports their new IDs', async () => {
+        const before = await fields();
+        const rows = await inst.read();
+        await inst.truncate();
+
+        const { recreated, failed } = await inst.rollback(journal);
+        expect(failed).to.deep.equal([]);
+        expect(recreated.map(({ id }) => id).sort()).to.deep.equal(rows.map(({ id }) => id).sort());
+        expect(await fields()).to.deep.equal(before);
+    });
+
+    it('rolls back a sync', async () => {
+        await inst.createMany([{ Name: 'bar', Age: 21 }, { Name: 'qux', Age: 1 }], 'Orders');
+        const before = await fields();
+        const beforeSync = await inst.read();
+
+        const { created } = await inst.syncTable('Orders', 'Users', { key: 'Name' });
+        expect(journal.entries.map(({ operation }) => operation)).to.deep.equal(['syncTable']);
+        expect((await fields()).map(({ Name }) => Name)).to.deep.equal(['bar', 'qux']);
+
+        const { deleted, restored, recreated } = await inst.rollback(journal);
+        expect(deleted).to.deep.equal(created.map(({ id }) => id));
+        expect(restored).to.deep.equal([beforeSync[0].id]);
+        expect(recreated.map(({ id }) => id)).to.deep.equal([beforeSync[1].id]);
+        expect(await fields()).to.deep.equal(before);
+    });
+
+    it('only undoes writes once', async () => {
+        await inst.deleteWhere({ Name: 'foo' });
+        await inst.rollback(journal);
+        await inst.rollback(journal);
+        expect(await fields()).to.have.length(2);
+    });
+
+    it('leaves skipped fields out of restored values', async () => {
+        await inst.deleteWhere({ Name: 'foo' });
+        await inst.rollback(journal, { skipFields: ['Status'] });
+        expect((await fields())[1]).to.deep.equal({ Name: 'foo', Age: 30 });
+    });
+
+    describe('file', () => {
+        let dir;
+        let file;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'airtable-plus-'));
+            file = path.join(dir, 'journal.json');
+        });
+
+        afterEach(() => {
+            if(fs.existsSync(file)) fs.unlinkSync(file);
+            fs.rmdirSync(dir);
+        });
+
+        it('saves entries and rolls back from the file', async () => {
+            const before = await fields();
+            await inst.deleteWhere({ Name: 'foo' }, { journal: new Journal({ file }) });
+
+            expect(JSON.parse(fs.readFileSync(file, 'utf8')).entries).to.have.length(1);
+            await inst.rollback(file);
+            expect(await fields()).to.deep.equal(before);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const MemoryDriver = require('../lib/MemoryDriver');
+
+describe('MemoryDriver', () => {
+    let driver;
+
+    beforeEach(() => {
+        driver = new MemoryDriver({
+            tables: {
+                Users: [
+                    { Name: 'foo', Age: 30 },
+                    { Name: 'bar', Age: 20 },
+                    { Name: 'baz', Age: 40 }
+                ]
+            },
+            now: () => new Date('2019-01-01T00:00:00.000Z')
+        });
+    });
+
+    it('gives records Airtable shaped IDs and createdTime values', async () => {
+        const [record] = await driver.create('Users', [{ Name: 'qux' }]);
+        expect(record.id).to.match(/^rec\d{14}$/);
+        expect(record.createdTime).to.equal('2019-01-01T00:00:00.000Z');
+    });
+
+    it('leaves empty values out of records like the API', async () => {
+        const [record] = await driver.create('Users', [{ Name: 'qux', Age: null, Tags: [], Active: false }]);
+        expect(record.fields).to.deep.equal({ Name: 'qux' });
+    });
+
+    it('pages selects with offsets', async () => {
+        const first = await driver.select('Users', { pageSize: 2 });
+        expect(first.records).to.have.length(2);
+        expect(first.offset).to.equal('2');
+
+        const second = await driver.select('Users', { pageSize: 2, offset: first.offset });
+        expect(second.records).to.have.length(1);
+        expect(second.offset).to.equal(undefined);
+    });
+
+    it('sorts, filters and selects fields', async () => {
+        const { records } = await driver.select('Users', {
+            filterByFormula: '{Age} >= 30',
+            sort: [{ field: 'Age', direction: 'desc' }],
+            fields: ['Name']
+        });
+        expect(records.map(({ fields }) => fields)).to.deep.equal([{ Name: 'baz' }, { Name: 'foo' }]);
+    });
+
+    it('rejects invalid formulas with a 422', async () => {
+        const err = await driver.select('Users', { filterByFormula: '{Age} >=' }).catch(e => e);
+        expect(err.statusCode).to.equal(422);
+    });
+
+    it('updates merge fields and replaces clear them', async () => {
+        const { records: [record] } = await driver.select('Users', { maxRecords: 1 });
+
+        const [updated] = await driver.update('Users', [{ id: record.id, fields: { Age: 31 } }]);
+        expect(updated.fields).to.deep.equal({ Name: 'foo', Age: 31 });
+
+        const [replaced] = await driver.replace('Users', [{ id: record.id, fields: { Age: 32 } }]);
+        expect(replaced.fields).to.deep.equal({ Age: 32 });
+    });
+
+    it('writes nothing when a record of the batch does not exist', async () => {
+        const { records: [record] } = await driver.select('Users', { maxRecords: 1 });
+        const err = await driver.update('Users', [
+            { id: record.id, fields: { Age: 99 } },
+            { id: 'recMissing', fields: { Age: 99 } }
+        ]).catch(e => e);
+
+        expect(err.statusCode).to.equal(404);
+        expect((await driver.find('Users', record.id)).fields.Age).to.equal(30);
+    });
+
+    it('rejects batches of more than 10 records', async () => {
+        const records = Array.from({ length: 11 }, (v, i) => ({ Name: `user ${i}` }));
+        const err = await driver.create('Users', records).catch(e => e);
+        expect(err.statusCode).to.equal(422);
+    });
+
+    it('throws 404 errors for unknown tables and records', async () => {
+        expect((await driver.select('Orders').catch(e => e)).statusCode).to.equal(404);
+        expect((await driver.find('Users', 'recMissing').catch(e => e)).statusCode).to.equal(404);
+    });
+
+    it('deletes records', async () => {
+        const { records: [record] } = await driver.select('Users', { maxRecords: 1 });
+        expect(await driver.destroy('Users', [record.id])).to.deep.equal([{ id: record.id, deleted: true }]);
+        expect((await driver.select('Users')).records).to.have.length(2);
+    });
+
+    describe('file', () => {
+        let dir;
+        let file;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'airtable-plus-'));
+            file = path.join(dir, 'base.json');
+        });
+
+        afterEach(() => {
+            if(fs.existsSync(file)) fs.unlinkSync(file);
+            fs.rmdirSync(dir);
+        });
+
+        it('saves changes and loads them back', async () => {
+            const saved = new MemoryDriver({ file, tables: { Users: [] } });
+            await saved.create('Users', [{ Name: 'foo' }]);
+
+            const loaded = new MemoryDriver({ file });
+            const { records } = await loaded.select('Users');
+            expect(records.map(({ fields }) => fields)).to.deep.equal([{ Name: 'foo' }]);
+        });
+
+        it('keeps the file contents over the seeded tables', async () => {
+            const saved = new MemoryDriver({ file, tables: { Users: [{ Name: 'seed' }] } });
+            await saved.create('Users', [{ Name: 'foo' }]);
+
+            const loaded = new MemoryDriver({ file, tables: { Users: [{ Name: 'seed' }], Orders: [{ Total: 1 }] } });
+            expect((await loaded.select('Users')).records).to.have.length(2);
+            expect((await loaded.select('Orders')).records).to.have.length(1);
+        });
+
+        it('never reuses IDs of the loaded records', async () => {
+            const saved = new MemoryDriver({ file, tables: { Users: [] } });
+            const [first] = await saved.create('Users', [{ Name: 'foo' }]);
+
+            const loaded = new MemoryDriver({ file });
+            const [second] = await loaded.create('Users', [{ Name: 'bar' }]);
+            expect(second.id).to.not.equal(first.id);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+const { expect } = require('chai');
+const Scheduler = require('../lib/Scheduler');
+
+const fail = statusCode => Object.assign(new Error(`status ${statusCode}`), { statusCode });
+
+// fails with the given status the first times it is called, then resolves
+const flaky = (statusCode, failures) => {
+    const task = async () => {
+        task.calls += 1;
+        if(task.calls <= failures) throw fail(statusCode);
+        return 'ok';
+    };
+    task.calls = 0;
+    return task;
+};
+
+describe('Scheduler', () => {
+    let scheduler;
+
+    beforeEach(() => {
+        scheduler = new Scheduler({ requestsPerSecond: 1000, retryDelay: 1, maxRetryDelay: 5, maxRetries: 2 });
+    });
+
+    it('shares a scheduler per base', () => {
+        expect(Scheduler.forBase('appShared')).to.equal(Scheduler.forBase('appShared'));
+        expect(Scheduler.forBase('appShared')).to.not.equal(Scheduler.forBase('appOther'));
+    });
+
+    it('spaces requests out to the rate limit', async () => {
+        const throttled = new Scheduler({ requestsPerSecond: 20 });
+        const starts = [];
+        await Promise.all([1, 2, 3].map(() => throttled.schedule(async () => starts.push(Date.now()))));
+        expect(starts[2] - starts[0]).to.be.at.least(90);
+    });
+
+    it('reports the queue depth and retries', async () => {
+        const depths = [];
+        const retries = [];
+        await scheduler.schedule(flaky(429, 1), {
+            onQueue: depth => depths.push(depth),
+            onRetry: ({ attempt, error }) => retries.push([attempt, error.statusCode])
+        });
+        expect(depths).to.include(1);
+        expect(retries).to.deep.equal([[1, 429]]);
+    });
+
+    it('retries 429 errors of any request', async () => {
+        const task = flaky(429, 2);
+        expect(await scheduler.schedule(task, {}, { method: 'post' })).to.equal('ok');
+        expect(task.calls).to.equal(3);
+    });
+
+    it('retries 5xx errors of GET requests', async () => {
+        const task = flaky(503, 1);
+        expect(await scheduler.schedule(task, {}, { method: 'get' })).to.equal('ok');
+        expect(task.calls).to.equal(2);
+    });
+
+    it('does not retry 5xx errors of writes', async () => {
+        const task = flaky(500, 1);
+        const err = await scheduler.schedule(task, {}, { method: 'post' }).catch(e => e);
+        expect(err.statusCode).to.equal(500);
+        expect(task.calls).to.equal(1);
+    });
+
+    it('retries 5xx errors of writes with retryWrites', async () => {
+        scheduler.configure({ retryWrites: true });
+        const task = flaky(500, 1);
+        expect(await scheduler.schedule(task, {}, { method: 'post' })).to.equal('ok');
+    });
+
+    it('does not retry client errors', async () => {
+        const task = flaky(422, 1);
+        await scheduler.schedule(task, {}, { method: 'get' }).catch(e => e);
+        expect(task.calls).to.equal(1);
+    });
+
+    it('gives up after maxRetries', async () => {
+        const task = flaky(429, 10);
+        const err = await scheduler.schedule(task).catch(e => e);
+        expect(err.statusCode).to.equal(429);
+        expect(task.calls).to.equal(3);
+    });
+});
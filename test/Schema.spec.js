@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+const AirtablePlus = require('../index');
+const Schema = require('../lib/Schema');
+
+describe('Schema', () => {
+    const schema = new Schema({
+        Name: { type: 'text', required: true },
+        Age: 'number',
+        Active: 'checkbox',
+        Born: 'date',
+        Status: { type: 'singleSelect', options: ['Active', 'Inactive'], default: 'Active' },
+        Projects: 'linkedRecord',
+        Photos: 'attachment',
+        Total: 'rollup'
+    });
+
+    it('coerces values to the field types', () => {
+        const { fields, errors } = schema.validate({
+            Name: 42,
+            Age: '30',
+            Active: 'yes',
+            Born: new Date('2000-02-03T10:00:00.000Z'),
+            Projects: 'rec00000000000001',
+            Photos: 'https://example.com/a.png'
+        });
+        expect(errors).to.deep.equal([]);
+        expect(fields).to.deep.equal({
+            Name: '42',
+            Age: 30,
+            Active: true,
+            Born: '2000-02-03',
+            Status: 'Active',
+            Projects: ['rec00000000000001'],
+            Photos: [{ url: 'https://example.com/a.png' }]
+        });
+    });
+
+    it('lists every invalid field', () => {
+        const { errors } = schema.validate({ Age: 'thirty', Status: 'Gone', Total: 3 });
+        expect(errors.map(({ field, message }) => `${field} ${message}`)).to.deep.equal([
+            'Name is required',
+            'Age should be a number',
+            'Status should be one of Active, Inactive',
+            'Total is read-only'
+        ]);
+    });
+
+    it('only checks the fields present in partial updates', () => {
+        expect(schema.validate({ Age: 31 }, { partial: true })).to.deep.equal({ fields: { Age: 31 }, errors: [] });
+    });
+
+    it('rejects undeclared fields when strict', () => {
+        const { errors } = new Schema({ Name: 'text' }, { strict: true }).validate({ Name: 'foo', Extra: 1 });
+        expect(errors).to.deep.equal([{ field: 'Extra', message: 'is not in the schema', value: 1 }]);
+    });
+
+    it('throws on unknown types', () => {
+        expect(() => new Schema({ Name: 'string' })).to.throw(/unknown type "string"/);
+    });
+
+    it('lists the read-only fields', () => {
+        expect(schema.readOnlyFields()).to.deep.equal(['Total']);
+    });
+
+    describe('with AirtablePlus', () => {
+        let inst;
+
+        beforeEach(() => {
+            const driver = new AirtablePlus.MemoryDriver({ tables: { Users: [] } });
+            inst = new AirtablePlus({ tableName: 'Users', driver, schemas: { Users: { Name: { type: 'text', required: true }, Age: 'number' } } });
+        });
+
+        it('coerces writes', async () => {
+            const record = await inst.create({ Name: 'foo', Age: '30' });
+            expect(record.fields).to.deep.equal({ Name: 'foo', Age: 30 });
+        });
+
+        it('throws a ValidationError before writing anything', async () => {
+            const err = await inst.createMany([{ Name: 'foo' }, { Age: 'x' }]).catch(e => e);
+            expect(err).to.be.an.instanceof(AirtablePlus.ValidationError);
+            expect(err.errors.map(({ index, field }) => [index, field])).to.deep.equal([[1, 'Name'], [1, 'Age']]);
+            expect(await inst.read()).to.deep.equal([]);
+        });
+
+        it('validates updates as partial writes', async () => {
+            const record = await inst.create({ Name: 'foo' });
+            expect((await inst.update(record.id, { Age: '31' })).fields).to.deep.equal({ Name: 'foo', Age: 31 });
+        });
+    });
+});
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const AirtablePlus = require('../index');
+
+describe('Watcher', () => {
+    let driver;
+    let inst;
+    let watchers;
+
+    // polls are run by hand
+    const watch = options => {
+        const watcher = inst.watch({ interval: 60 * 1000, ...options });
+        watcher.stop();
+        watchers.push(watcher);
+        return watcher;
+    };
+    const summary = events => events.map(({ type, changes }) => [type, changes]);
+
+    beforeEach(() => {
+        driver = new AirtablePlus.MemoryDriver({
+            tables: {
+                Orders: [
+                    { Item: 'pen', Status: 'New', Modified: '2019-01-01T00:00:00.000Z' },
+                    { Item: 'ink', Status: 'New', Modified: '2019-01-01T00:00:00.000Z' }
+                ]
+            }
+        });
+        inst = new AirtablePlus({ tableName: 'Orders', driver });
+        watchers = [];
+    });
+
+    afterEach(() => watchers.forEach(watcher => watcher.stop()));
+
+    it('only records the table on the first poll, unless emitInitial is set', async () => {
+        expect(await watch().poll()).to.deep.equal([]);
+        expect((await watch({ emitInitial: true }).poll()).map(({ type }) => type)).to.deep.equal(['created', 'created']);
+    });
+
+    it('emits created, updated and deleted events', async () => {
+        const watcher = watch();
+        const emitted = [];
+        watcher.on('change', ({ type }) => emitted.push(type));
+        await watcher.poll();
+
+        const [pen, ink] = await inst.read();
+        await inst.update(pen.id, { Status: 'Shipped' });
+        await inst.delete(ink.id);
+        await inst.create({ Item: 'pad' });
+
+        expect(summary(await watcher.poll())).to.deep.equal([
+            ['updated', { Status: { before: 'New', after: 'Shipped' } }],
+            ['created', { Item: { before: undefined, after: 'pad' } }],
+            ['deleted', {
+                Item: { before: 'ink', after: undefined },
+                Status: { before: 'New', after: undefined },
+                Modified: { before: '2019-01-01T00:00:00.000Z', after: undefined }
+            }]
+        ]);
+        expect(emitted).to.deep.equal(['updated', 'created', 'deleted']);
+        expect(await watcher.poll()).to.deep.equal([]);
+    });
+
+    it('only reads the records modified since the last poll with a modifiedField', async () => {
+        const watcher = watch({ modifiedField: 'Modified' });
+        await watcher.poll();
+        expect(watcher.cursor.since).to.equal('2019-01-01T00:00:00.000Z');
+
+        const [pen, ink] = await inst.read();
+        await inst.update(pen.id, { Status: 'Shipped', Modified: '2019-01-02T00:00:00.000Z' });
+        await inst.delete(ink.id);
+
+        const select = driver.select.bind(driver);
+        const reads = [];
+        driver.select = (tableName, params) => {
+            reads.push(params.filterByFormula? 'modified' : params.fields);
+            return select(tableName, params);
+        };
+
+        expect((await watcher.poll()).map(({ type, id }) => [type, id])).to.deep.equal([['updated', pen.id], ['deleted', ink.id]]);
+        expect(reads).to.deep.equal(['modified', ['Modified']]);
+        expect(watcher.cursor.since).to.equal('2019-01-02T00:00:00.000Z');
+    });
+
+    it('yields events to async iterations', async () => {
+        const watcher = watch();
+        await watcher.poll();
+        await inst.create({ Item: 'pad' });
+
+        const polled = watcher.poll();
+        for await (const event of watcher) {
+            expect(event.after).to.deep.equal({ Item: 'pad' });
+            break;
+        }
+        await polled;
+    });
+
+    it('throws errors nobody listens to and keeps polling', async () => {
+        const select = driver.select.bind(driver);
+        let reads = 0;
+        let polled;
+        const repolled = new Promise(resolve => { polled = resolve; });
+        driver.select = (tableName, params) => {
+            reads += 1;
+            if(reads === 1) return Promise.reject(new Error('offline'));
+            polled();
+            return select(tableName, params);
+        };
+
+        // mocha fails the test on uncaught exceptions, so its handlers are set aside
+        const handlers = process.listeners('uncaughtException');
+        process.removeAllListeners('uncaughtException');
+        try {
+            const thrown = new Promise(resolve => process.once('uncaughtException', resolve));
+            watchers.push(inst.watch({ interval: 1 }));
+
+            expect((await thrown).message).to.equal('offline');
+            await repolled;
+        }
+        finally {
+            process.removeAllListeners('uncaughtException');
+            handlers.forEach(handler => process.on('uncaughtException', handler));
+        }
+    });
+
+    describe('file', () => {
+        let dir;
+        let file;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'airtable-plus-'));
+            file = path.join(dir, 'cursor.json');
+        });
+
+        afterEach(() => {
+            if(fs.existsSync(file)) fs.unlinkSync(file);
+            fs.rmdirSync(dir);
+        });
+
+        it('resumes from the cursor file', async () => {
+            await watch({ file }).poll();
+            expect(fs.readdirSync(dir)).to.deep.equal(['cursor.json']);
+
+            await inst.create({ Item: 'pad' });
+            const resumed = watch({ file });
+            expect(summary(await resumed.poll())).to.deep.equal([['created', { Item: { before: undefined, after: 'pad' } }]]);
+        });
+    });
+});
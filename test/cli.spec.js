@@ -0,0 +1,104 @@
+const { PassThrough } = require('stream');
+const { expect } = require('chai');
+const AirtablePlus = require('../index');
+const main = require('../bin/airtable-plus');
+
+describe('airtable-plus command', () => {
+    let inst;
+
+    // runs the command with piped stdin, returning what it printed
+    const run = async (argv, input) => {
+        const stdin = new PassThrough();
+        const stdout = new PassThrough();
+        stdin.end(input);
+        let output = '';
+        stdout.on('data', chunk => { output += chunk; });
+        await main(argv, { inst, stdin, stdout, stderr: new PassThrough() });
+        return output;
+    };
+    const names = async table => (await inst.read(table)).map(({ fields }) => fields.Name);
+
+    beforeEach(() => {
+        const driver = new AirtablePlus.MemoryDriver({
+            tables: {
+                Users: [{ Name: 'foo', Status: 'Active' }, { Name: 'bar', Status: 'Archived' }],
+                Backup: [{ Name: 'old' }]
+            }
+        });
+        inst = new AirtablePlus({ tableName: 'Users', driver });
+    });
+
+    it('prints the usage', async () => {
+        expect(await run(['--help'])).to.match(/^Usage: airtable-plus <command>/);
+    });
+
+    it('reads records as json, a table or csv', async () => {
+        const [foo] = JSON.parse(await run(['read', '--where', '{"Status":"Active"}']));
+        expect(foo.fields).to.deep.equal({ Name: 'foo', Status: 'Active' });
+
+        const table = await run(['read', '-f', 'table', '--fields', 'Name']);
+        expect(table.split('\n').slice(0, 2).map(line => line.replace(/rec\w+/, 'rec'))).to.deep.equal(['id                 Name', '-----------------  ----']);
+
+        const rows = (await run(['read', '--format=csv', '--max', '1'])).trim().split('\n');
+        expect(rows[0]).to.equal('id,Name,Status');
+        expect(rows[1]).to.match(/^rec\w+,foo,Active$/);
+    });
+
+    it('creates records from stdin on the table option', async () => {
+        await run(['create', '-t', 'Backup'], '[{"Name":"qux"},{"Name":"quux"}]');
+        expect(await names('Backup')).to.deep.equal(['old', 'qux', 'quux']);
+    });
+
+    it('upserts on key fields', async () => {
+        const res = JSON.parse(await run(['upsert', '--key', 'Name', '[{"Name":"foo","Status":"New"},{"Name":"qux"}]']));
+        expect([res.created.length, res.updated.length]).to.deep.equal([1, 1]);
+        expect((await inst.read()).map(({ fields }) => fields.Status)).to.deep.equal(['New', 'Archived', undefined]);
+    });
+
+    it('previews destructive commands with --dry-run', async () => {
+        const [preview] = JSON.parse(await run(['delete-where', 'Status = "Archived"', '--dry-run']));
+        expect(preview).to.include({ action: 'delete' });
+        expect(await names('Users')).to.deep.equal(['foo', 'bar']);
+
+        const copy = JSON.parse(await run(['overwrite-table', 'Users', 'Backup', '--dry-run']));
+        expect(copy.map(({ action, id }) => [action, id === null])).to.deep.equal([['delete', false], ['create', true], ['create', true]]);
+        expect(await names('Backup')).to.deep.equal(['old']);
+    });
+
+    it('previews the records a table copy would write', async () => {
+        const copy = JSON.parse(await run(['append-table', 'Users', 'Backup', '--where', 'Status = "Active"', '--fields', 'Name', '--dry-run']));
+        expect(copy.map(({ action, fields }) => [action, fields])).to.deep.equal([['create', { Name: 'foo' }]]);
+
+        const err = await run(['append-table', 'Users', 'Backup', '--max', '1', '--dry-run']).catch(e => e);
+        expect(err.message).to.match(/^--view and --max only apply to read/);
+        expect((await run(['overwrite-table', 'Users', 'Backup', '--view', 'Grid', '-y']).catch(e => e))).to.be.an('error');
+        expect(await names('Backup')).to.deep.equal(['old']);
+    });
+
+    it('needs --yes to delete without a terminal', async () => {
+        const err = await run(['truncate']).catch(e => e);
+        expect(err.message).to.equal('Delete all 2 records from Users? Pass --yes to confirm');
+
+        await run(['truncate', '-y']);
+        expect(await inst.read()).to.deep.equal([]);
+    });
+
+    it('overwrites a table', async () => {
+        await run(['overwrite-table', 'Users', 'Backup', '--where', 'Status = "Active"', '--yes']);
+        expect(await names('Backup')).to.deep.equal(['foo']);
+    });
+
+    it('rejects unknown options before running anything', async () => {
+        for(const argv of [['truncate', '--yes', '--dryrun=1'], ['truncate', '-y', '--dry_run'], ['truncate', '-x'], ['truncate', '--yes=no']]) {
+            const err = await run(argv).catch(e => e);
+            expect(err).to.be.an('error');
+            expect(err.message).to.match(/^unknown option|takes no value$/);
+        }
+        expect(await names('Users')).to.deep.equal(['foo', 'bar']);
+    });
+
+    it('rejects unknown commands and formats', async () => {
+        expect((await run(['drop']).catch(e => e)).message).to.match(/^unknown command "drop"/);
+        expect((await run(['read', '-f', 'xml']).catch(e => e)).message).to.match(/^unknown format "xml"/);
+    });
+});
@@ -0,0 +1,41 @@
+const { expect } = require('chai');
+const csv = require('../lib/csv');
+
+const parseAll = async chunks => {
+    const rows = [];
+    for await (const row of csv.parse(chunks)) rows.push(row);
+    return rows;
+};
+
+describe('csv', () => {
+    it('flattens field values', () => {
+        expect(csv.formatValue(['recA', 'recB'])).to.equal('recA, recB');
+        expect(csv.formatValue([{ url: 'https://example.com/a.png', filename: 'a.png' }])).to.equal('https://example.com/a.png');
+        expect(csv.formatValue({ id: 'usr1', email: 'foo@bar.com' })).to.equal('foo@bar.com');
+        expect(csv.formatValue(undefined)).to.equal('');
+    });
+
+    it('quotes cells that need it', () => {
+        expect(csv.formatRow(['a', 'b,c', 'say "hi"', ' d', 'e\nf'])).to.equal('a,"b,c","say ""hi"""," d","e\nf"\n');
+    });
+
+    it('parses rows across chunks with the line they start on', async () => {
+        expect(await parseAll(['id,Na', 'me\r\n1,"multi\nline"\n\n2,"a ""b"", c"'])).to.deep.equal([
+            { line: 1, values: ['id', 'Name'] },
+            { line: 2, values: ['1', 'multi\nline'] },
+            { line: 5, values: ['2', 'a "b", c'] }
+        ]);
+    });
+
+    it('reports unterminated quoted cells', async () => {
+        const [, row] = await parseAll(['id\n"open']);
+        expect(row.line).to.equal(2);
+        expect(row.error.message).to.match(/unterminated/);
+    });
+
+    it('round trips formatted rows', async () => {
+        const cells = ['a', 'b,c', 'say "hi"', 'e\nf'];
+        const [row] = await parseAll([csv.formatRow(cells)]);
+        expect(row.values).to.deep.equal(cells);
+    });
+});
@@ -0,0 +1,68 @@
+const { expect } = require('chai');
+const formula = require('../lib/formula');
+
+describe('formula', () => {
+    describe('compile', () => {
+        it('returns formula strings as is', () => {
+            expect(formula.compile('{Age} > 30')).to.equal('{Age} > 30');
+        });
+
+        it('combines columns with AND', () => {
+            expect(formula.compile({ Status: 'Active', Age: { gt: 30 }, Tags: { contains: 'x' } }))
+                .to.equal('AND({Status} = "Active", {Age} > 30, FIND("x", {Tags} & "") > 0)');
+        });
+
+        it('tests for any value of an array', () => {
+            expect(formula.compile({ Age: [1, 2] })).to.equal('OR({Age} = 1, {Age} = 2)');
+            expect(formula.compile({ Age: { in: [] } })).to.equal('FALSE()');
+        });
+
+        it('tests null for blank cells', () => {
+            expect(formula.compile({ Owner: null })).to.equal('LEN({Owner} & "") = 0');
+            expect(formula.compile({ Owner: { ne: null } })).to.equal('LEN({Owner} & "") > 0');
+        });
+
+        it('throws on undefined values instead of testing for blank cells', () => {
+            expect(() => formula.compile({ Email: undefined })).to.throw(/no value for \{Email\}/);
+            expect(() => formula.compile({ Age: { gt: undefined } })).to.throw(/no value for \{Age\}/);
+            expect(() => formula.compile({ Tags: { contains: undefined } })).to.throw(/undefined/);
+            expect(() => formula.compile({ or: [{ Email: undefined }] })).to.throw(/no value/);
+        });
+
+        it('compares dates with date functions', () => {
+            expect(formula.compile({ Due: { lt: new Date('2019-01-01T00:00:00.000Z') } }))
+                .to.equal('IS_BEFORE({Due}, DATETIME_PARSE("2019-01-01T00:00:00.000Z"))');
+        });
+
+        it('nests and, or and not', () => {
+            expect(formula.compile({ or: [{ A: 1 }, { B: 2 }], not: { C: 3 } }))
+                .to.equal('AND(OR({A} = 1, {B} = 2), NOT({C} = 3))');
+        });
+
+        it('escapes column names and strings', () => {
+            expect(formula.compile({ 'a}b': 'say "hi"\n' })).to.equal('{a\\}b} = "say \\"hi\\"\\n"');
+        });
+
+        it('compiles empty filters to an empty formula', () => {
+            expect(formula.compile({})).to.equal('');
+            expect(formula.compile(undefined)).to.equal('');
+        });
+
+        it('throws on unknown operators', () => {
+            expect(() => formula.compile({ Age: { around: 3 } })).to.throw(/unknown filter operator/);
+        });
+
+        it('renames columns', () => {
+            expect(formula.compile({ firstName: 'x' }, name => (name === 'firstName'? 'First Name' : name)))
+                .to.equal('{First Name} = "x"');
+        });
+    });
+
+    describe('renameFields', () => {
+        it('renames braced and bare column references, not strings or functions', () => {
+            const map = { firstName: 'First Name', lastName: 'Last Name' };
+            expect(formula.renameFields('AND(firstName = "firstName", {lastName} = "y")', name => map[name] || name))
+                .to.equal('AND({First Name} = "firstName", {Last Name} = "y")');
+        });
+    });
+});